@@ -1,4 +1,5 @@
 import { EntityType } from './entityType';
+import { compileTypedefs } from './typedefs';
 
 /**
  * Given a set of type definitions, the `entityTypeAccessors` factory instantiates
@@ -43,14 +44,39 @@ import { EntityType } from './entityType';
  * A typedef requires:
  * - key: This type's primary key.
  * - foreignKeys: Related entity names are keys, values are the foreign key on this entity.
+ *   Several relations to one type are named instead, with `{type, key}` values, and
+ *   polymorphic relations take `{types, key, typeKey}` values; see `foreignKeySpec`.
  * - inverseForeignKeys: Related entity names are keys, values are the foreign key on that entity.
+ *   Named relations take `{type, foreignKey}` values, naming the related type's foreign key.
+ * A typedef may also declare:
+ * - onDelete: Inverse foreign key relation names are keys, values are what deleting a
+ *   record does to its children: `cascade` (the default), `setNull` or `restrict`.
+ * - manyToMany: Related entity names are keys, values are many-to-many relationship
+ *   specs, either `{through: 'JoinType'}`, `{keys: path}` or `{inverseKeys: path}`.
+ *   Join types must also be listed in `inverseForeignKeys` on both sides, so that
+ *   links are deleted along with either side.
+ * - embedded: Related entity names are keys, values are the keypath where API payloads
+ *   nest the related records; see `loadNormalized`.
+ * - fields: Field names are keys, values are field schemas used by `current.validate`.
+ * - computed: Computed field names are keys, values are functions of the record, or
+ *   specs also reading related records; see `current.getComputed`.
+ * - defaults: Field names are keys, values are defaults or factories for the fields
+ *   of new records; see `applyDefaults`.
+ * - strict: If true, `current.create` and `current.set` throw on invalid records.
+ * - mergeStrategy: How `initial.load` settles conflicting local and server edits.
+ *
+ * The typedefs are checked as a whole first; see `compileTypedefs`.
+ * @param  {Boolean} [options.infer] - Whether to fill in missing `inverseForeignKeys`
+ * from `foreignKeys` and the reverse, rather than throw.
  * @return {Object<String, EntityType>} - A collection of entity type accessors in a POJO.
  * Keys correspond to your typedef
+ * @throws {Error} - If the typedefs are inconsistent.
  */
-export function entityTypeAccessors(typedefs) {
+export function entityTypeAccessors(typedefs, options = {}) {
+  const compiled = compileTypedefs(typedefs, options);
   let accessors = {};
-  Object.keys(typedefs).forEach(name => {
-    accessors[name] = new EntityType(accessors, name, typedefs[name]);
+  Object.keys(compiled).forEach(name => {
+    accessors[name] = new EntityType(accessors, name, compiled[name]);
   });
   return accessors;
 }
@@ -0,0 +1,151 @@
+import { fromJS } from 'immutable';
+import { readKey, writeKey } from './keys';
+
+/**
+ * Describe every pending change in a store as plain JSON, suitable for sending
+ * to another store with `applyChanges`, or to a remote service.
+ *
+ * The changeset has the shape
+ *
+ *   {
+ *     nextKey: -3,
+ *     types: {
+ *       Account: {
+ *         created: [{id: -1, name: 'new'}],
+ *         updated: [{pk: 1, changes: {name: 'renamed'}}],
+ *         deleted: [2]
+ *       }
+ *     }
+ *   }
+ *
+ * where `created` holds whole new records, `updated` holds only the changed
+ * properties of modified records (see `getChangedProperties`) and `deleted` holds
+ * the primary keys of deleted records. Types without pending changes are omitted.
+ *
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @param  {Immutable.Map} store - The current object store.
+ * @return {Object} - The changeset.
+ */
+export function exportChanges(accessors, store) {
+  let types = {};
+  Object.keys(accessors).forEach(type => {
+    const entityType = accessors[type];
+    const created = entityType.current.getAllNew(store).toList().toJS();
+    const updated = entityType.current.getAllChanged(store)
+      .map((record, pk) => ({pk, changes: entityType.current.getChangedProperties(store, pk).toJS()}))
+      .toList()
+      .toJS();
+    const deleted = entityType.deleted.getAll(store).keySeq().toJS();
+    if (created.length || updated.length || deleted.length) {
+      types[type] = {created, updated, deleted};
+    }
+  });
+  return {nextKey: store.get('_nextKey'), types};
+}
+
+/**
+ * Point a record's foreign keys, and its many-to-many key lists, at the new keys
+ * of any remapped new records.
+ * @param  {EntityType} entityType - The type of the record.
+ * @param  {Immutable.Map} record - The record, or a subset of its properties.
+ * @param  {Object<String, Object>} remapped - Type names mapped to old keys mapped to new keys.
+ * @param  {Immutable.Map} [whole] - The whole record, to read the types of
+ * polymorphic foreign keys from when `record` is a subset.
+ * @return {Immutable.Map} - The record with its foreign keys rewritten.
+ */
+function remapForeignKeys(entityType, record, remapped, whole = record) {
+  record = Object.keys(entityType.manyToMany).reduce((result, relName) => {
+    const path = entityType.manyToMany[relName].keys;
+    const keys = remapped[relName];
+    if (!path || !keys || !result.hasIn(path)) {
+      return result;
+    }
+    return result.updateIn(path, list => list.map(key => (keys.hasOwnProperty(key) ? keys[key] : key)));
+  }, record);
+  return Object.keys(entityType.foreignKeys).reduce((result, relName) => {
+    const path = entityType.foreignKeys[relName];
+    const keys = remapped[entityType.foreignKey.getType(whole.merge(result), relName)];
+    const fk = readKey(result, path);
+    if (!keys || fk === undefined || !keys.hasOwnProperty(fk)) {
+      return result;
+    }
+    return writeKey(result, path, keys[fk]);
+  }, record);
+}
+
+/**
+ * Replay a changeset produced by `exportChanges` onto a store.
+ *
+ * New records keep their primary keys, including temporary ones, unless the
+ * key is already taken in the target store; in that case the record is given
+ * a fresh key by the type's `keyGenerator`, and foreign keys in the changeset
+ * pointing at it are rewritten to match. The store's `_nextKey` is moved past every temporary key
+ * in the changeset, so later calls to `create` won't collide with them.
+ *
+ * Records are created first, then updated, then deleted. Updated and deleted
+ * records must already exist in the target store.
+ *
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @param  {Immutable.Map} store - The store to apply the changes to.
+ * @param  {Object} changeset - A changeset, as returned by `exportChanges`.
+ * @return {Immutable.Map} - An updated copy of the store.
+ * @throws {Error} - If the changeset names an unknown type or a missing record.
+ */
+export function applyChanges(accessors, store, changeset) {
+  const types = Object.keys(changeset.types);
+  types.forEach(type => {
+    if (!accessors[type]) {
+      throw new Error(`Cannot apply changes for unknown type ${type}`);
+    }
+  });
+  store = store.set('_nextKey', Math.min(store.get('_nextKey'), changeset.nextKey));
+
+  let remapped = {};
+  let created = {};
+  types.forEach(type => {
+    const entityType = accessors[type];
+    created[type] = changeset.types[type].created.map(pojo => {
+      let record = entityType.raise(pojo);
+      const pk = entityType.keyFor(record);
+      if (entityType.current.get(store, pk)) {
+        const generated = entityType.keyGenerator(store, entityType);
+        store = generated.store;
+        record = entityType.withKey(record, generated.key);
+        remapped[type] = remapped[type] || {};
+        remapped[type][pk] = generated.key;
+      }
+      return record;
+    });
+  });
+
+  types.forEach(type => {
+    const entityType = accessors[type];
+    created[type].forEach(record => {
+      record = remapForeignKeys(entityType, record, remapped);
+      store = entityType.current.set(store, entityType.keyFor(record), record);
+    });
+  });
+
+  types.forEach(type => {
+    const entityType = accessors[type];
+    changeset.types[type].updated.forEach(({pk, changes}) => {
+      const cur = entityType.current.get(store, pk);
+      if (!cur) {
+        throw new Error(`Cannot apply changes to missing ${type} ${pk}`);
+      }
+      const record = cur.merge(remapForeignKeys(entityType, fromJS(changes), remapped, cur));
+      store = entityType.current.set(store, pk, record);
+    });
+  });
+
+  types.forEach(type => {
+    const entityType = accessors[type];
+    changeset.types[type].deleted.forEach(pk => {
+      if (!entityType.current.get(store, pk)) {
+        throw new Error(`Cannot delete missing ${type} ${pk}`);
+      }
+      store = entityType.current.delete(store, pk);
+    });
+  });
+  return store;
+}
@@ -0,0 +1,250 @@
+import { is, Map } from 'immutable';
+import { newStore } from './store';
+import { ENTITY_STATE } from './states';
+
+/**
+ * The buckets compared when looking for changes between two stores.
+ * @type {Array<String>}
+ */
+const BUCKETS = ['initial', 'current', 'deleted', 'conflicts', 'saving'];
+
+/**
+ * The accessor methods which update the store, by sub-accessor.
+ * @type {Object<String, Array<String>>}
+ */
+const MUTATORS = {
+  current: ['create', 'set', 'delete', 'reject', 'accept', 'resolveConflict', 'beginSave', 'failSave'],
+  initial: ['load', 'set'],
+  deleted: ['accept', 'reject'],
+  foreignKey: ['set'],
+  links: ['link', 'unlink']
+};
+
+/**
+ * List the records which differ between two stores.
+ *
+ * Each change is reported as `{type, pk, bucket, previous, next}`, where `bucket`
+ * is one of `initial`, `current`, `deleted`, `conflicts` or `saving`, and
+ * `previous` and `next` are the values in that bucket, or `undefined` when absent. A record
+ * changing in several buckets is reported once per bucket. Types whose buckets
+ * kept their identity are skipped without looking at their records.
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @param  {Immutable.Map} prev - The store before the change.
+ * @param  {Immutable.Map} next - The store after the change.
+ * @return {Array<Object>} - The changes.
+ */
+export function diffStores(accessors, prev, next) {
+  let changes = [];
+  Object.keys(accessors).forEach(type => {
+    BUCKETS.forEach(bucket => {
+      const before = prev.getIn([bucket, type]) || Map();
+      const after = next.getIn([bucket, type]) || Map();
+      if (before === after) {
+        return;
+      }
+      before.keySeq().toOrderedSet().union(after.keySeq()).forEach(pk => {
+        if (!is(before.get(pk), after.get(pk))) {
+          changes.push({type, pk, bucket, previous: before.get(pk), next: after.get(pk)});
+        }
+      });
+    });
+  });
+  return changes;
+}
+
+/**
+ * Get the state of a record by primary key, or `undefined` if the store doesn't
+ * hold it.
+ * @param  {EntityType} entityType - The type of the record.
+ * @param  {Immutable.Map} store - The object store.
+ * @param  {String|Number} pk - The primary key.
+ * @return {String|undefined} - One of `ENTITY_STATE`.
+ */
+function stateOf(entityType, store, pk) {
+  const state = entityType.state(store, entityType.withKey(Map(), pk));
+  return state === ENTITY_STATE.UNKNOWN ? undefined : state;
+}
+
+/**
+ * The `StoreContainer` class holds a store for code which needs a single,
+ * mutable place to read it from and be told when it changes, such as UI
+ * components. Accessor calls made through the container update the held store,
+ * then notify subscribers of what changed.
+ *
+ *   const container = new StoreContainer(accessors);
+ *   container.subscribeRecord('Account', 1, change => render(change.next));
+ *   container.accessors.Account.current.set(1, record);
+ */
+export class StoreContainer {
+  /**
+   * The `StoreContainer` constructor.
+   * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+   * @param  {Immutable.Map} [store] - The store to start from; a new one by default.
+   */
+  constructor(accessors, store = newStore()) {
+    /**
+     * The accessors used to work out what changed.
+     * @type {Object<String, EntityType>}
+     */
+    this.entityTypes = accessors;
+    /**
+     * The held store.
+     * @type {Immutable.Map}
+     */
+    this.store = store;
+    /**
+     * The subscriptions, in the order they were made.
+     * @type {Array<Object>}
+     */
+    this.subscriptions = [];
+    /**
+     * The accessors' updating methods, bound to the held store: the same
+     * methods, without the store argument. They return what the accessor
+     * returns.
+     * @type {Object<String, Object>}
+     */
+    this.accessors = {};
+    Object.keys(accessors).forEach(name => {
+      const entityType = accessors[name];
+      this.accessors[name] = {};
+      Object.keys(MUTATORS).forEach(sub => {
+        this.accessors[name][sub] = {};
+        MUTATORS[sub].forEach(method => {
+          this.accessors[name][sub][method] = (...args) => this.run(held => entityType[sub][method](held, ...args));
+        });
+      });
+    });
+  }
+  /**
+   * Get the held store.
+   * @return {Immutable.Map} - The store.
+   */
+  getStore() {
+    return this.store;
+  }
+  /**
+   * Replace the held store, and notify subscribers of the differences.
+   * @param  {Immutable.Map} store - The new store.
+   */
+  setStore(store) {
+    const prev = this.store;
+    if (store === prev) {
+      return;
+    }
+    this.store = store;
+    this.notify(prev, store);
+  }
+  /**
+   * Update the held store with a function, such as a sequence of accessor calls.
+   * @param  {Function} fn - Takes the store, and returns an updated copy or an
+   * object with a `store` key.
+   * @return {*} - What `fn` returned.
+   */
+  run(fn) {
+    const result = fn(this.store);
+    this.setStore(Map.isMap(result) ? result : result.store);
+    return result;
+  }
+  /**
+   * Subscribe to every update. The listener is called once per update, with
+   * the list of changes (see `diffStores`) and the new store.
+   * @param  {Function} listener - The listener.
+   * @return {Function} - Call to unsubscribe.
+   */
+  subscribe(listener) {
+    return this.addSubscription({all: true, listener});
+  }
+  /**
+   * Subscribe to changes to any record of a type. The listener is called once
+   * per change, with `{type, pk, bucket, previous, next}`.
+   * @param  {String} type - The entity type name.
+   * @param  {Function} listener - The listener.
+   * @return {Function} - Call to unsubscribe.
+   */
+  subscribeType(type, listener) {
+    return this.addSubscription({type, listener});
+  }
+  /**
+   * Subscribe to changes to one record. The listener is called once per change,
+   * with `{type, pk, bucket, previous, next}`.
+   * @param  {String} type - The entity type name.
+   * @param  {String|Number} pk - The primary key of the record.
+   * @param  {Function} listener - The listener.
+   * @return {Function} - Call to unsubscribe.
+   */
+  subscribeRecord(type, pk, listener) {
+    return this.addSubscription({type, pk, listener});
+  }
+  /**
+   * Subscribe to `ENTITY_STATE` transitions of the records of a type, or of one
+   * record. The listener is called with `{type, pk, previous, next}`, where
+   * `previous` and `next` are states, or `undefined` when the record isn't in
+   * the store.
+   * @param  {String} type - The entity type name.
+   * @param  {String|Number} [pk] - The primary key of the record; every record if omitted.
+   * @param  {Function} listener - The listener.
+   * @return {Function} - Call to unsubscribe.
+   */
+  subscribeState(type, pk, listener) {
+    if (typeof pk === 'function') {
+      return this.addSubscription({type, state: true, listener: pk});
+    }
+    return this.addSubscription({type, pk, state: true, listener});
+  }
+  /**
+   * Add a subscription.
+   * @param  {Object} subscription - What to listen to, and the listener.
+   * @return {Function} - Call to unsubscribe.
+   */
+  addSubscription(subscription) {
+    if (subscription.type && !this.entityTypes[subscription.type]) {
+      throw new Error(`Cannot subscribe to unknown type ${subscription.type}`);
+    }
+    this.subscriptions.push(subscription);
+    return () => {
+      this.subscriptions = this.subscriptions.filter(s => s !== subscription);
+    };
+  }
+  /**
+   * Work out what changed between two stores, and call the matching listeners.
+   * Subscriptions made or removed by a listener apply from the next update.
+   * @param  {Immutable.Map} prev - The store before the update.
+   * @param  {Immutable.Map} next - The store after the update.
+   */
+  notify(prev, next) {
+    const subscriptions = this.subscriptions;
+    const changes = diffStores(this.entityTypes, prev, next);
+    const matches = (subscription, change) => (
+      subscription.type === change.type &&
+      (subscription.pk === undefined || subscription.pk === change.pk)
+    );
+
+    let transitions = [];
+    let seen = {};
+    changes.forEach(({type, pk}) => {
+      const id = `${type}:${pk}`;
+      if (seen[id]) {
+        return;
+      }
+      seen[id] = true;
+      const entityType = this.entityTypes[type];
+      const before = stateOf(entityType, prev, pk);
+      const after = stateOf(entityType, next, pk);
+      if (before !== after) {
+        transitions.push({type, pk, previous: before, next: after});
+      }
+    });
+
+    subscriptions.forEach(subscription => {
+      if (subscription.all) {
+        if (changes.length) {
+          subscription.listener(changes, next);
+        }
+        return;
+      }
+      (subscription.state ? transitions : changes)
+        .filter(change => matches(subscription, change))
+        .forEach(change => subscription.listener(change));
+    });
+  }
+}
@@ -0,0 +1,79 @@
+import { fromJS } from 'immutable';
+import { writeKey } from './keys';
+
+/**
+ * Fill in the fields a new record lacks from its type's `defaults`. Factories
+ * are called with the record so far and `{store, parents}`, where `parents`
+ * maps the foreign key relations set on the record to the current parent
+ * records, so that values can be copied from a parent; a factory returning
+ * `undefined` leaves the field unset. Values are raised as with `fromJS`.
+ * Fields are filled in the order they are declared, so a factory sees the
+ * defaults declared before it.
+ * @param  {EntityType} entityType - The type of the record.
+ * @param  {Immutable.Map} store - The current object store.
+ * @param  {Immutable.Map} record - The new record.
+ * @return {Immutable.Map} - The record, with its defaults.
+ */
+export function applyDefaults(entityType, store, record) {
+  const fields = Object.keys(entityType.defaults);
+  if (!fields.length) {
+    return record;
+  }
+  let parents = {};
+  Object.keys(entityType.foreignKeys).forEach(relName => {
+    const parent = entityType.parents(store, relName, record).first();
+    if (parent) {
+      parents[relName] = parent;
+    }
+  });
+  return fields.reduce((result, field) => {
+    if (result.has(field)) {
+      return result;
+    }
+    const spec = entityType.defaults[field];
+    const value = typeof spec === 'function' ? spec(result, {store, parents}) : spec;
+    return value === undefined ? result : result.set(field, fromJS(value));
+  }, record);
+}
+
+/**
+ * Create a record as a child of another, setting its foreign key to the parent
+ * from the typedefs, and the parent's type for a polymorphic foreign key;
+ * defaults are applied as by `current.create`, and can read the parent.
+ *
+ *   const {store, pk} = createChild(accessors, store, 'Account', 1, 'User', {name: 'Carol'});
+ *
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @param  {Immutable.Map} store - The current object store.
+ * @param  {String} parentType - The type of the parent.
+ * @param  {String|Number} parentPk - The primary key of the parent.
+ * @param  {String} childType - The type of the new record.
+ * @param  {Object|Immutable.Map} [record] - The initial value of the new record.
+ * @return {Object} - What `current.create` returns: an object with keys for the
+ * new copy of the store, the new primary key, and the newly created record.
+ * @throws {Error} - If the types aren't related by exactly one foreign key, or
+ * the parent isn't a current, undeleted record.
+ */
+export function createChild(accessors, store, parentType, parentPk, childType, record) {
+  const parentT = accessors[parentType];
+  const childT = accessors[childType];
+  const relNames = childT ? Object.keys(childT.foreignKeys).filter(relName => (
+    childT.polymorphic[relName] ?
+      childT.polymorphic[relName].types.indexOf(parentType) >= 0 :
+      childT.relationTypes[relName] === parentType
+  )) : [];
+  if (!parentT || !relNames.length) {
+    throw new Error(`${parentType} has no children of type ${childType}`);
+  }
+  if (relNames.length > 1) {
+    throw new Error(`${childType} has several relations to ${parentType} (${relNames.join(', ')}); set the foreign key and use current.create`);
+  }
+  if (!parentT.current.get(store, parentPk) || parentT.deleted.get(store, parentPk)) {
+    throw new Error(`Cannot create ${childType} under ${parentType} ${parentPk}, it is not a current record`);
+  }
+  let child = writeKey(childT.raise(record || {}), childT.foreignKeys[relNames[0]], parentPk);
+  if (childT.polymorphic[relNames[0]]) {
+    child = child.setIn(childT.polymorphic[relNames[0]].typeKey, parentType);
+  }
+  return childT.current.create(store, child);
+}
@@ -1,9 +1,16 @@
-import { fromJS } from 'immutable';
+import { fromJS, List, Map, Set } from 'immutable';
 import { EntityTypeForeignKeyAccessors } from './entityTypeAccessors/foreignKey';
 import { EntityTypeInitialAccessors } from './entityTypeAccessors/initial';
 import { EntityTypeCurrentAccessors } from './entityTypeAccessors/current';
 import { EntityTypeDeletedAccessors } from './entityTypeAccessors/deleted';
+import { EntityTypeIndexesAccessors } from './entityTypeAccessors/indexes';
+import { EntityTypeLinkAccessors } from './entityTypeAccessors/links';
 import { ENTITY_STATE } from './states';
+import { MERGE_STRATEGY } from './merge';
+import { readKey, writeKey, negativeKeys } from './keys';
+import { ON_DELETE } from './policies';
+import { Query } from './query';
+import { foreignKeySpec, inverseForeignKeySpec } from './typedefs';
 
 /**
  * The `EntityType` class is the top-level interface for interacting with
@@ -17,13 +24,49 @@ export class EntityType {
    * instances related to this store, allowing this `EntityType` instance to call
    * methods on related `EntityType` instances.
    * @param  {String} name - The name of this entity type.
-   * @param  {Array<String>} options.key - The primary key keypath for this entity type.
-   * @param  {Object<String, Array<String>>} options.foreignKeys - A map of related
-   * entity type names to the keypath to the foreign key for the related type on this type.
-   * @param  {Object<String, Array<String>>} options.inverseForeignKeys - A map of related
-   * entity type names to the keypath to the foreign key for this type on the related type.
+   * @param  {Array<String>|Array<Array<String>>} options.key - The primary key keypath
+   * for this entity type, or a list of keypaths for a composite key.
+   * @param  {Object<String, Array<String>|Object>} options.foreignKeys - A map of related
+   * entity type names to the keypath to the foreign key for the related type on this type,
+   * or of relation names to `{type, key}`; see `foreignKeySpec`.
+   * @param  {Object<String, Array<String>|Object>} options.inverseForeignKeys - A map of related
+   * entity type names to the keypath to the foreign key for this type on the related type,
+   * or of relation names to `{type, foreignKey}`; see `inverseForeignKeySpec`.
+   * @param  {Object<String, String>} [options.onDelete] - A map of inverse foreign
+   * key relation names to what deleting a record does to its children; see `ON_DELETE`.
+   * @param  {Object<String, Object>} [options.manyToMany] - A map of related entity
+   * type names to many-to-many relationship specs; see `EntityTypeLinkAccessors`.
+   * @param  {Object<String, Array<String>>} [options.embedded] - A map of related
+   * entity type names to the keypath where API payloads embed the related records;
+   * see `loadNormalized`.
+   * @param  {Object<String, Object>} [options.fields] - A map of field names to field
+   * schemas; see `validateRecord`.
+   * @param  {Object<String, Function|Object>} [options.computed] - A map of computed
+   * field names to functions of the record, or specs naming related records too;
+   * see `EntityTypeCurrentAccessors#getComputed`.
+   * @param  {Object<String, *>} [options.defaults] - A map of field names to default
+   * values or factories for new records; see `applyDefaults`.
+   * @param  {Boolean} [options.strict] - Whether `current.create` and `current.set`
+   * should refuse records which fail validation.
+   * @param  {String|Function} [options.mergeStrategy] - How `initial.load` settles
+   * properties edited both locally and on the server; see `MERGE_STRATEGY`.
+   * @param  {Function} [options.keyGenerator] - Hands out primary keys for new
+   * records; see `negativeKeys`.
    */
-  constructor(accessors, name, {key, foreignKeys, inverseForeignKeys}) {
+  constructor(accessors, name, {
+    key,
+    foreignKeys = {},
+    inverseForeignKeys = {},
+    onDelete = {},
+    manyToMany = {},
+    embedded = {},
+    fields = {},
+    computed = {},
+    defaults = {},
+    strict = false,
+    mergeStrategy = MERGE_STRATEGY.MANUAL,
+    keyGenerator = negativeKeys()
+  }) {
     /**
      * This entity's type name.
      * @type {String}
@@ -42,12 +85,14 @@ export class EntityType {
      * @example
      * ['id']  // a simple keypath
      * ['nested', 'id']  // a nested keypath, e.g. to {nested: {id: 1}}
-     * @type {Array<String>}
+     * [['account_id'], ['user_id']]  // a composite key, e.g. for a join table
+     * @type {Array<String>|Array<Array<String>>}
      */
     this.key = key;
     /**
-     * A map of related entity type names to the keypath for the foreign key
-     * for the related type on this type.
+     * A map of foreign key relation names to the keypath for the foreign key
+     * for the related type on this type. Relations are named after the related
+     * type, unless declared as `{type, key}`; see `relationTypes`.
      *
      * For example, if this is a `User`, and the user belongs to an `Account`,
      * you might have
@@ -56,10 +101,12 @@ export class EntityType {
      * {Account: ['account_id']}
      * @type {Object<String, Array<String>>}
      */
-    this.foreignKeys = foreignKeys;
+    this.foreignKeys = {};
     /**
-     * A map of related entity type names to the keypath for the foreign key
-     * for this type on the related type.
+     * A map of inverse foreign key relation names to the keypath for the
+     * foreign key for this type on the related type. Relations are named after
+     * the related type, unless declared as `{type, foreignKey}`; see
+     * `relationTypes` and `inverseRelations`.
      *
      * For example, if this is an `Account`, and it has many users, you might have
      *
@@ -67,7 +114,161 @@ export class EntityType {
      * {User: ['account_id']}
      * @type {Object<String, Array<String>>}
      */
-    this.inverseForeignKeys = inverseForeignKeys;
+    this.inverseForeignKeys = {};
+    /**
+     * A map of foreign key and inverse foreign key relation names to the
+     * names of the related types. Several relations can point at the same type.
+     *
+     * @example
+     * {author: 'User', editor: 'User', Comment: 'Comment'}
+     * @type {Object<String, String>}
+     */
+    this.relationTypes = {};
+    /**
+     * A map of inverse foreign key relation names to the name of the matching
+     * foreign key relation on the related type.
+     *
+     * @example
+     * {authoredPosts: 'author', editedPosts: 'editor'}  // on User
+     * @type {Object<String, String>}
+     */
+    this.inverseRelations = {};
+    /**
+     * A map of polymorphic foreign key relation names to the types they can
+     * point at, and the keypath to the name of the type on this type. These
+     * relations are left out of `relationTypes`.
+     *
+     * @example
+     * {subject: {types: ['Post', 'Photo'], typeKey: ['subject_type']}}
+     * @type {Object<String, Object>}
+     */
+    this.polymorphic = {};
+    Object.keys(foreignKeys).forEach(relName => {
+      const spec = foreignKeySpec(relName, foreignKeys[relName]);
+      this.foreignKeys[relName] = spec.key;
+      if (spec.typeKey) {
+        this.polymorphic[relName] = {types: spec.types, typeKey: spec.typeKey};
+      } else {
+        this.relationTypes[relName] = spec.type;
+      }
+    });
+    Object.keys(inverseForeignKeys).forEach(relName => {
+      const spec = inverseForeignKeySpec(relName, inverseForeignKeys[relName], name);
+      this.inverseForeignKeys[relName] = spec.key;
+      this.relationTypes[relName] = spec.type;
+      this.inverseRelations[relName] = spec.foreignKey;
+    });
+    /**
+     * A map of inverse foreign key relation names to on-delete policies.
+     * Relations not listed cascade.
+     *
+     * @example
+     * {User: 'setNull'}
+     * @type {Object<String, String>}
+     */
+    this.onDelete = onDelete;
+    Object.keys(onDelete).forEach(relName => {
+      if (!Object.keys(ON_DELETE).some(policy => ON_DELETE[policy] === onDelete[relName])) {
+        throw new Error(`Unknown onDelete policy ${onDelete[relName]} for ${name}.${relName}`);
+      }
+    });
+    /**
+     * A map of related entity type names to many-to-many relationship specs.
+     *
+     * For example, if this is a `Post` with many `Tag`s, and each tag with many
+     * posts, you might have either of
+     *
+     * @example
+     * {Tag: {through: 'PostTag'}}  // PostTag has foreign keys to Post and Tag
+     * {Tag: {keys: ['tag_ids']}}  // posts hold a list of tag keys
+     * @type {Object<String, Object>}
+     */
+    this.manyToMany = manyToMany;
+    Object.keys(manyToMany).forEach(relName => {
+      if (foreignKeys.hasOwnProperty(relName)) {
+        throw new Error(`${name} declares ${relName} as both a foreign key and a many-to-many relationship`);
+      }
+    });
+    /**
+     * A map of related entity type names to the keypath where API payloads embed
+     * the related records: a parent along a foreign key, a child or list of
+     * children along an inverse foreign key, or a list of records for a
+     * many-to-many relationship held as a list of keys.
+     *
+     * @example
+     * {User: ['users']}  // accounts arrive as {id: 1, users: [{id: 2}]}
+     * @type {Object<String, Array<String>>}
+     */
+    this.embedded = embedded;
+    Object.keys(embedded).forEach(relName => {
+      if (!foreignKeys.hasOwnProperty(relName) && !inverseForeignKeys.hasOwnProperty(relName) &&
+          !(manyToMany[relName] && manyToMany[relName].keys)) {
+        throw new Error(`${name} cannot embed ${relName}; it needs a foreign key or a many-to-many key list`);
+      }
+    });
+    /**
+     * A map of field names to field schemas, used to validate records.
+     *
+     * @example
+     * {name: {type: 'string', required: true, max: 100}}
+     * @type {Object<String, Object>}
+     */
+    this.fields = fields;
+    /**
+     * A map of computed field names to either a function of the record, or a
+     * spec with the `compute` function and the `parents` (foreign key relations)
+     * and `children` (inverse foreign key relations) it reads. The function
+     * takes the record, and an object of relation names mapped to the parent
+     * record, or to the map of children.
+     *
+     * @example
+     * {
+     *   fullName: record => `${record.get('first')} ${record.get('last')}`,
+     *   userCount: {children: ['User'], compute: (record, {User}) => User.size}
+     * }
+     * @type {Object<String, Function|Object>}
+     */
+    this.computed = computed;
+    Object.keys(computed).forEach(fieldName => {
+      const {parents = [], children = []} = computed[fieldName];
+      const unrelated = parents.filter(relName => !foreignKeys.hasOwnProperty(relName))
+        .concat(children.filter(relName => !inverseForeignKeys.hasOwnProperty(relName)));
+      if (unrelated.length) {
+        throw new Error(`Computed field ${name}.${fieldName} reads ${unrelated[0]}, which is not a related type`);
+      }
+    });
+    /**
+     * A map of field names to the values `current.create` gives new records
+     * which lack them: either a constant, or a factory taking the record and
+     * `{store, parents}`, where `parents` maps foreign key relations to the
+     * current parent records.
+     *
+     * @example
+     * {
+     *   status: 'draft',
+     *   created_at: () => Date.now(),
+     *   currency: (record, {parents}) => parents.Account && parents.Account.get('currency')
+     * }
+     * @type {Object<String, *>}
+     */
+    this.defaults = defaults;
+    /**
+     * Whether edits that fail validation are refused.
+     * @type {Boolean}
+     */
+    this.strict = strict;
+    /**
+     * The default strategy for settling conflicts when reloading edited records.
+     * @type {String|Function}
+     */
+    this.mergeStrategy = mergeStrategy;
+    /**
+     * Hands out primary keys for records created without one. Takes the store
+     * and this `EntityType`, and returns an object with keys for the updated
+     * store and the new key.
+     * @type {Function}
+     */
+    this.keyGenerator = keyGenerator;
 
     /**
      * Accessors for getting / setting foreign keys on this type.
@@ -89,6 +290,16 @@ export class EntityType {
      * @type {EntityTypeDeletedAccessors}
      */
     this.deleted = new EntityTypeDeletedAccessors(this);
+    /**
+     * Interface for the foreign key indexes for this type.
+     * @type {EntityTypeIndexesAccessors}
+     */
+    this.indexes = new EntityTypeIndexesAccessors(this);
+    /**
+     * Accessors for linking and unlinking many-to-many relatives.
+     * @type {EntityTypeLinkAccessors}
+     */
+    this.links = new EntityTypeLinkAccessors(this);
   }
   /**
    * Ensure an object is immutable.
@@ -102,25 +313,39 @@ export class EntityType {
     return fromJS(obj);
   }
   /**
-   * Get a record's primary key.
+   * Get a record's primary key. Composite keys are encoded as a single
+   * string; see `encodeKey`.
    * @param  {Immutable.Map} record - The record to get the key from.
    * @return {String|Number} - The primary key.
    */
   keyFor(record) {
-    return record.getIn(this.key);
+    return readKey(record, this.key);
+  }
+  /**
+   * Set a record's primary key.
+   * @param  {Immutable.Map} record - The record to update.
+   * @param  {String|Number} pk - The primary key, encoded if composite.
+   * @return {Immutable.Map} - The updated record.
+   */
+  withKey(record, pk) {
+    return writeKey(record, this.key, pk);
   }
   /**
    * Get a string representation of the state of this record,
    * whether it is deleted, unchanged, modified or new.
    * @param  {Immutable.Map} store  - The current object store.
    * @param  {Immutable.Map} record - The record to check.
-   * @return {String} - The current state; see `ENTITY_STATE` above.
+   * @return {String} - The current state; see `ENTITY_STATE` above. Keys the
+   * store doesn't hold are `UNKNOWN`.
    */
   state(store, record) {
     let pk = this.keyFor(record);
     if (this.deleted.get(store, pk)) {
       return ENTITY_STATE.DELETED;
     }
+    if (this.current.getSaving(store, pk)) {
+      return ENTITY_STATE.SAVING;
+    }
     let initial = this.initial.get(store, pk);
     let current = this.current.get(store, pk);
     if (initial && current) {
@@ -132,40 +357,154 @@ export class EntityType {
     if (current) {
       return ENTITY_STATE.NEW;
     }
-    throw new Error(`Unknown state for ${pk}`);
+    return ENTITY_STATE.UNKNOWN;
+  }
+  /**
+   * Get the `EntityType` at the other end of a relation.
+   * @param  {String} relName - The name of a foreign key, inverse foreign key or
+   * many-to-many relation.
+   * @param  {Immutable.Map} [record] - For a polymorphic foreign key, the record
+   * naming the related type.
+   * @return {EntityType|undefined} - The related type; `undefined` for a
+   * polymorphic relation without a record, or whose record names no known type.
+   */
+  relatedType(relName, record) {
+    if (this.polymorphic[relName]) {
+      const type = record && this.foreignKey.getType(record, relName);
+      return this.polymorphic[relName].types.indexOf(type) >= 0 ? this.accessors[type] : undefined;
+    }
+    return this.accessors[this.relationTypes[relName] || relName];
+  }
+  /**
+   * Get the name of the index on a child type which lists the children of
+   * this type's records along an inverse foreign key relation.
+   * @param  {String} relName - The name of the inverse foreign key relation.
+   * @return {String} - The index name; see `EntityTypeIndexesAccessors#nameFor`.
+   */
+  childIndex(relName) {
+    return this.relatedType(relName).indexes.nameFor(this.inverseRelations[relName], this.name);
   }
   /**
    * Get the current values of all the records of a given type related to the
    * given record via a foreign key.
    * @param  {Immutable.Map} store - The current object store.
-   * @param  {String} relName - The name of the related type. The given record
-   * must have a foreign key that points to the related type.
+   * @param  {String} relName - The name of the foreign key relation, usually the
+   * related type's name. The given record must have a foreign key for it.
    * @param  {Immutable.Map} record  - The source record you want the parents of.
    * @return {Immutable.Map} - The related type's current records map,
    * filtered to only include relatives along the foreign key relationship.
    */
   parents(store, relName, record) {
     let fk = this.foreignKey.get(record, relName);
-    let relT = this.accessors[relName];
-    return relT.current
-      .getAll(store)
-      .filter(rel => relT.keyFor(rel) === fk);
+    let relT = this.relatedType(relName, record);
+    let parent = relT && relT.current.get(store, fk);
+    return parent ? Map().set(fk, parent) : Map();
   }
   /**
    * Get the current values of all the records of a given type related to the
    * given record via an inverse foreign key.
    * @param  {Immutable.Map} store - The current object store.
-   * @param  {String} relName - The name of the related type. The related records
-   * must have a foreign key that points to the source type.
+   * @param  {String} relName - The name of the inverse foreign key relation, usually
+   * the related type's name. The related records must have a foreign key for it.
    * @param  {Immutable.Map} record - The source record you want the children of.
    * @return {Immutable.Map} - The related type's current records map,
    * filtered to only include relatives along the inverse foreign key relationship.
+   * Children are looked up through the related type's foreign key index.
    */
   children(store, relName, record) {
     let pk = this.keyFor(record);
+    let relT = this.relatedType(relName);
+    return relT.indexes
+      .get(store, this.childIndex(relName), pk)
+      .reduce((rels, relPK) => rels.set(relPK, relT.current.get(store, relPK)), Map());
+  }
+  /**
+   * Get the current values of all the records of a given type related to the
+   * given record via a many-to-many relationship.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String} relName - The name of the related type. It must be declared
+   * in this type's `manyToMany` section.
+   * @param  {Immutable.Map} record - The source record.
+   * @return {Immutable.Map} - The related records, keyed by primary key.
+   */
+  related(store, relName, record) {
     let relT = this.accessors[relName];
-    return relT.current
-      .getAll(store)
-      .filter(rel => relT.foreignKey.get(rel, this.name) === pk);
+    return this.links.keys(store, relName, record).reduce((rels, relPK) => {
+      let rel = relT.current.get(store, relPK);
+      return rel ? rels.set(relPK, rel) : rels;
+    }, Map());
+  }
+  /**
+   * Get a record with its related records embedded, following relations
+   * recursively. Related records are embedded at the keypath given in the
+   * typedef's `embedded` section, or else under the related type's name:
+   * parents as a single record, children and many-to-many relations as an
+   * `Immutable.List`. A record already embedded higher up the same branch is
+   * not embedded again, so cycles stop.
+   *
+   * @example
+   * // an account with its users, and each user's team
+   * accessors.Account.denormalize(store, 1, {relations: {User: {relations: {Team: true}}}})
+   * // an account with every parent and child, two levels deep, as POJOs
+   * accessors.Account.denormalize(store, 1, {depth: 2, toJS: true})
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} pk - The primary key of the record.
+   * @param  {Object} [spec.relations] - Related type names mapped to `true`, or to
+   * a nested spec with its own `relations`. By default, every foreign key,
+   * inverse foreign key and many-to-many relation is followed.
+   * @param  {Number} [spec.depth] - How many levels of relations to follow; 1 by
+   * default when following every relation, unlimited with `relations`.
+   * @param  {Boolean} [spec.includeDeleted] - Whether to include records pending delete.
+   * @param  {Boolean} [spec.toJS] - Whether to return a POJO instead of an `Immutable.Map`.
+   * @return {Immutable.Map|Object|undefined} - The record tree, or `undefined` if
+   * there is no such record.
+   */
+  denormalize(store, pk, {relations, depth = relations ? Infinity : 1, includeDeleted = false, toJS = false} = {}) {
+    const visit = (entityType, recordKey, spec, remaining, ancestors) => {
+      if (!includeDeleted && entityType.deleted.get(store, recordKey)) {
+        return undefined;
+      }
+      let record = entityType.current.get(store, recordKey);
+      if (!record || remaining <= 0) {
+        return record;
+      }
+      ancestors = ancestors.add(`${entityType.name}:${recordKey}`);
+      const follow = (relT, keys, relSpec) => keys
+        .filterNot(key => ancestors.has(`${relT.name}:${key}`))
+        .map(key => visit(relT, key, relSpec, remaining - 1, ancestors))
+        .filter(rel => rel !== undefined)
+        .toList();
+      const names = spec ? Object.keys(spec) : Object.keys(entityType.foreignKeys)
+        .concat(Object.keys(entityType.inverseForeignKeys), Object.keys(entityType.manyToMany));
+      names.forEach(relName => {
+        const relT = entityType.relatedType(relName, record);
+        // `true` embeds the related records alone; omitting a spec follows everything
+        const relSpec = spec ? spec[relName].relations || {} : undefined;
+        const target = entityType.embedded[relName] || [relName];
+        if (entityType.foreignKeys[relName]) {
+          const fk = entityType.foreignKey.get(record, relName);
+          const parent = fk === undefined || fk === null || !relT ? List() : follow(relT, List([fk]), relSpec);
+          record = parent.size ? record.setIn(target, parent.first()) : record;
+        } else if (entityType.inverseForeignKeys[relName]) {
+          record = record.setIn(target, follow(relT, relT.indexes.get(store, entityType.childIndex(relName), recordKey).toList(), relSpec));
+        } else if (entityType.manyToMany[relName]) {
+          record = record.setIn(target, follow(relT, List(entityType.links.keys(store, relName, record)), relSpec));
+        } else {
+          throw new Error(`${entityType.name} has no relation to ${relName}`);
+        }
+      });
+      return record;
+    };
+    const tree = visit(this, pk, relations, depth, Set());
+    return toJS && tree ? tree.toJS() : tree;
+  }
+  /**
+   * Start a query over the records of this type.
+   * @param  {Immutable.Map} store - The object store to query.
+   * @return {Query} - A query matching every current record, to refine with
+   * `where`, `orderBy`, `limit` and friends, then `run`.
+   */
+  query(store) {
+    return new Query(this, store);
   }
 }
@@ -1,4 +1,8 @@
-import { is, Map } from 'immutable';
+import { is, List, Map } from 'immutable';
+import { validateRecord } from '../validation';
+import { ON_DELETE } from '../policies';
+import { mergeRecords } from '../merge';
+import { applyDefaults } from '../defaults';
 
 /**
  * The `EntityTypeCurrentAccessors` class provides methods for managing
@@ -15,6 +19,12 @@ export class EntityTypeCurrentAccessors {
    */
   constructor(entityType) {
     this.entityType = entityType;
+    /**
+     * The last inputs and result of each computed field, by record and field
+     * name; see `getComputed`. Entries go when their record is no longer held.
+     * @type {WeakMap<Immutable.Map, Object>}
+     */
+    this.computedCache = new WeakMap();
   }
   /**
    * Get the current value for a particular record.
@@ -26,14 +36,35 @@ export class EntityTypeCurrentAccessors {
     return store.getIn(['current', this.entityType.name, recordKey]);
   }
   /**
-   * Establish the current value for a particular record.
+   * Establish the current value for a particular record, keeping the foreign
+   * key indexes in step.
    * @param  {Immutable.Map} store - The current object store.
    * @param  {String|Number} recordKey - The primary key of the record to set.
    * @param  {Immutable.Map} record - The newly current version of the record.
    * @return {Immutable.Map} - An updated copy of the store.
+   * @throws {Error} - If the type is strict and the record is invalid.
    */
   set(store, recordKey, record) {
-    return store.setIn(['current', this.entityType.name, recordKey], record);
+    if (this.entityType.strict && !is(record, this.entityType.initial.get(store, recordKey))) {
+      this.assertValid(recordKey, record);
+    }
+    let prev = this.get(store, recordKey);
+    store = store.setIn(['current', this.entityType.name, recordKey], record);
+    return this.entityType.indexes.update(store, recordKey, prev, record);
+  }
+  /**
+   * Remove a record from the current bucket entirely, without marking it
+   * deleted. Any save in flight for it is dropped.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The primary key of the record to remove.
+   * @return {Immutable.Map} - An updated copy of the store.
+   */
+  remove(store, recordKey) {
+    let prev = this.get(store, recordKey);
+    store = store
+      .deleteIn(['current', this.entityType.name, recordKey])
+      .deleteIn(['saving', this.entityType.name, recordKey]);
+    return this.entityType.indexes.update(store, recordKey, prev, undefined);
   }
   /**
    * Get all of the current values for this record type.
@@ -86,22 +117,147 @@ export class EntityTypeCurrentAccessors {
     }
     return cur.filter((value, propKey) => !is(value, initial.get(propKey)));
   }
+  /**
+   * Get the properties of a record left in conflict by the last
+   * `EntityTypeInitialAccessors#load`, under the `manual` merge strategy.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The primary key of the record.
+   * @return {Immutable.Map} - Property keys mapped to conflicts; each conflict is a
+   * map with the `base`, `local` and `remote` values of the property.
+   */
+  getConflicts(store, recordKey) {
+    return store.getIn(['conflicts', this.entityType.name, recordKey]) || Map();
+  }
+  /**
+   * Record the conflicting properties of a record, replacing any already recorded.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The primary key of the record.
+   * @param  {Immutable.Map} conflicts - Property keys mapped to conflicts.
+   * @return {Immutable.Map} - An updated copy of the store.
+   */
+  setConflicts(store, recordKey, conflicts) {
+    if (!conflicts.size) {
+      return store.deleteIn(['conflicts', this.entityType.name, recordKey]);
+    }
+    return store.setIn(['conflicts', this.entityType.name, recordKey], conflicts);
+  }
+  /**
+   * Settle a conflicting property by giving it a value in the current record.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The primary key of the record.
+   * @param  {String} propKey - The conflicting property.
+   * @param  {*} value - The value to keep.
+   * @return {Immutable.Map} - An updated copy of the store.
+   */
+  resolveConflict(store, recordKey, propKey, value) {
+    store = this.set(store, recordKey, this.get(store, recordKey).set(propKey, value));
+    return this.setConflicts(store, recordKey, this.getConflicts(store, recordKey).delete(propKey));
+  }
+  /**
+   * Get the value of a computed field declared in the typedef. Computed values
+   * are never stored; they are cached until the record, or the related records
+   * the field reads, change. Children pending delete are left out of the
+   * related records.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The primary key of the record.
+   * @param  {String} name - The name of the computed field.
+   * @return {*} - The computed value, or `undefined` if there is no such record.
+   * @throws {Error} - If the typedef doesn't declare the computed field.
+   */
+  getComputed(store, recordKey, name) {
+    const spec = this.entityType.computed[name];
+    if (!spec) {
+      throw new Error(`${this.entityType.name} has no computed field ${name}`);
+    }
+    const record = this.get(store, recordKey);
+    if (!record) {
+      return undefined;
+    }
+    const {compute, parents = [], children = []} = typeof spec === 'function' ? {compute: spec} : spec;
+    let related = {};
+    let inputs = [record];
+    parents.forEach(relName => {
+      related[relName] = this.entityType.parents(store, relName, record).first();
+      inputs.push(related[relName]);
+    });
+    children.forEach(relName => {
+      const relT = this.entityType.relatedType(relName);
+      related[relName] = this.entityType.children(store, relName, record)
+        .filterNot((child, childKey) => relT.deleted.get(store, childKey));
+      inputs.push(related[relName].size);
+      related[relName].forEach(child => inputs.push(child));
+    });
+
+    if (!this.computedCache.has(record)) {
+      this.computedCache.set(record, {});
+    }
+    const cache = this.computedCache.get(record);
+    const cached = cache[name];
+    if (cached && cached.inputs.length === inputs.length && cached.inputs.every((input, i) => input === inputs[i])) {
+      return cached.value;
+    }
+    const value = compute(record, related);
+    cache[name] = {inputs, value};
+    return value;
+  }
+  /**
+   * Check the current value of a record against this type's field schemas.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The primary key of the record to check.
+   * @return {Immutable.Map} - Field names mapped to lists of errors; empty if the
+   * record is valid. Each error is a map with `rule` and `message` keys.
+   */
+  validate(store, recordKey) {
+    const record = this.get(store, recordKey);
+    return record ? validateRecord(this.entityType.fields, record) : Map();
+  }
+  /**
+   * Get the validation errors for every current record of this type which
+   * fails validation. Deleted records are skipped.
+   * @param  {Immutable.Map} store - The current object store.
+   * @return {Immutable.Map} - Primary keys mapped to the errors for that record,
+   * as returned by `validate`.
+   */
+  getAllInvalid(store) {
+    return this.getAll(store)
+      .filterNot((record, recordKey) => this.entityType.deleted.get(store, recordKey))
+      .map(record => validateRecord(this.entityType.fields, record))
+      .filter(errors => errors.size);
+  }
+  /**
+   * Throw if a record fails validation. Used to enforce strict mode.
+   * @param  {String|Number} recordKey - The primary key of the record.
+   * @param  {Immutable.Map} record - The record to check.
+   * @throws {Error} - An error whose `errors` property holds the validation errors.
+   */
+  assertValid(recordKey, record) {
+    const errors = validateRecord(this.entityType.fields, record);
+    if (errors.size) {
+      const error = new Error(`Invalid ${this.entityType.name} ${recordKey}: ${errors.keySeq().join(', ')}`);
+      error.errors = errors;
+      throw error;
+    }
+  }
   /**
    * Insert a new record into the current values bucket. If the record doesn't
-   * already have a primary key, a new primary key will be automatically assigned.
+   * already have a primary key, a new primary key will be assigned by the type's
+   * `keyGenerator`. Fields the record lacks are filled in from the type's
+   * `defaults` first, so defaults may make up part of a composite key.
    * @param  {Immutable.Map} store - The current object store.
    * @param  {Object|Immutable.Map|undefined} record - The initial value of the new record.
    * An empty record with a new primary key will be created if omitted.
    * @return {Object} - An object with keys for the new copy of the store,
    * the new primary key, and the newly created record.
+   * @throws {Error} - If the type is strict and the record is invalid.
    */
   create(store, record) {
-    record = this.entityType.raise(record || {});
+    record = applyDefaults(this.entityType, store, this.entityType.raise(record || {}));
     let pk = this.entityType.keyFor(record);
     if (!pk) {
-      pk = store.get('_nextKey');
-      store = store.set('_nextKey', pk - 1);
-      record = record.setIn(this.entityType.key, pk);
+      const generated = this.entityType.keyGenerator(store, this.entityType);
+      store = generated.store;
+      pk = generated.key;
+      record = this.entityType.withKey(record, pk);
     }
     store = this.set(store, pk, record);
     return {store, record, pk};
@@ -111,6 +267,13 @@ export class EntityTypeCurrentAccessors {
    * the given value. If the new accepted value has a different primary key from
    * the old value, the primary key change will cascade to children along all
    * inverse foreign key relations.
+   *
+   * If the record is being saved (see `beginSave`), edits made since the save
+   * began are kept: they are rebased onto the accepted value with a three-way
+   * merge against the value sent, settled by the typedef's `mergeStrategy`.
+   * If the record was deleted in the meantime, only its accepted value is
+   * updated, and the delete stays pending; if it was removed altogether, as new
+   * records are when deleted, nothing is brought back.
    * @param  {Immutable.Map} store - The current object store.
    * @param  {String|Number} recordKey - The primary key of the record to accept.
    * If the primary key has changed in the value to accept, then this should be
@@ -120,31 +283,101 @@ export class EntityTypeCurrentAccessors {
    */
   accept(store, recordKey, record) {
     record = this.entityType.raise(record);
-    let cur = this.get(store, recordKey);
     let pk = this.entityType.keyFor(record);
+    const sent = this.getSaving(store, recordKey);
+    const local = this.get(store, recordKey);
+    store = store.deleteIn(['saving', this.entityType.name, recordKey]);
+    if (this.entityType.deleted.get(store, recordKey)) {
+      return store.setIn(['initial', this.entityType.name, recordKey], record);
+    }
+    if (!local) {
+      return store;
+    }
     if (recordKey !== pk) {
-      Object.keys(this.entityType.inverseForeignKeys).forEach(relName => {
-        let relT = this.entityType.accessors[relName];
-        this.entityType.children(store, relName, cur).forEach(child => {
-          store = relT.foreignKey.set(store, this.entityType.name, child, pk).store;
-        });
-      });
-      store = store.deleteIn(['current', this.entityType.name, recordKey]);
+      store = this.rekey(store, recordKey, pk);
+    }
+    store = this.entityType.initial.set(store, pk, record);
+    if (!sent || !local || is(sent, local)) {
+      return store;
     }
-    return this.entityType.initial.set(store, pk, record);
+    const merged = mergeRecords(sent, local, record, this.entityType.mergeStrategy);
+    store = this.set(store, pk, merged.record);
+    return this.setConflicts(store, pk, merged.conflicts);
+  }
+  /**
+   * Mark a record as being saved, and take a snapshot of the value being sent.
+   * Until the save is accepted or fails, the record's state is `SAVING`, and
+   * it can still be edited.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The primary key of the record to save.
+   * @return {Object} - An object with keys for the updated store, and the
+   * `record` value to send.
+   * @throws {Error} - If the record is missing, deleted or already being saved.
+   */
+  beginSave(store, recordKey) {
+    const record = this.get(store, recordKey);
+    if (!record || this.entityType.deleted.get(store, recordKey)) {
+      throw new Error(`Cannot save ${this.entityType.name} ${recordKey}, it is not a current record`);
+    }
+    if (this.getSaving(store, recordKey)) {
+      throw new Error(`Cannot save ${this.entityType.name} ${recordKey}, it is already being saved`);
+    }
+    return {store: store.setIn(['saving', this.entityType.name, recordKey], record), record};
+  }
+  /**
+   * Give up on a save started with `beginSave`. The record goes back to the
+   * state it had before, keeping any edits made since.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The primary key of the record.
+   * @return {Immutable.Map} - An updated copy of the store.
+   */
+  failSave(store, recordKey) {
+    return store.deleteIn(['saving', this.entityType.name, recordKey]);
+  }
+  /**
+   * Get the value sent by a save in flight.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The primary key of the record.
+   * @return {Immutable.Map|undefined} - The value snapshotted by `beginSave`, if any.
+   */
+  getSaving(store, recordKey) {
+    return store.getIn(['saving', this.entityType.name, recordKey]);
+  }
+  /**
+   * Move a current record's children over to a new primary key, cascading along
+   * all inverse foreign key relations and many-to-many key lists, and remove
+   * the record's old entry.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The old primary key.
+   * @param  {String|Number} pk - The new primary key.
+   * @return {Immutable.Map} - A new copy of the store.
+   */
+  rekey(store, recordKey, pk) {
+    let cur = this.get(store, recordKey);
+    Object.keys(this.entityType.inverseForeignKeys).forEach(relName => {
+      let relT = this.entityType.relatedType(relName);
+      this.entityType.children(store, relName, cur).forEach(child => {
+        store = relT.foreignKey.set(store, this.entityType.inverseRelations[relName], child, pk).store;
+      });
+    });
+    store = this.entityType.links.rekey(store, recordKey, pk);
+    return this.remove(store, recordKey);
   }
   /**
    * Reject the current changes for a record. If the record is new, it will
    * be deleted (along with children); if it is modified, then the current
    * value will be replaced with the last accepted value; records pending delete
-   * will be returned to an unmodified state.
+   * will be returned to an unmodified state. Any recorded conflicts, and any
+   * save in flight, are dropped.
    * @param  {Immutable.Map} store - The current object store.
    * @param  {String|Number} recordKey - The primary key of the record to reject.
    * @return {Immutable.Map} - A new copy of the store.
    */
   reject(store, recordKey) {
     let initial = this.entityType.initial.get(store, recordKey);
+    store = this.setConflicts(store, recordKey, Map());
     if (initial) {
+      store = store.deleteIn(['saving', this.entityType.name, recordKey]);
       store = this.entityType.deleted.reject(store, recordKey);
       return this.entityType.current.set(store, recordKey, initial);
     }
@@ -153,23 +386,75 @@ export class EntityTypeCurrentAccessors {
   /**
    * Mark a record as deleted. If it is new, it will be removed from the
    * cache completely; if it has an accepted value, then it will be placed
-   * in the deleted bucket.
+   * in the deleted bucket. Its key is removed from the key lists of
+   * many-to-many relatives, and any save in flight for it is dropped.
+   *
+   * Children along each inverse foreign key relation are handled according to
+   * the type's `onDelete` policy for that relation (see `ON_DELETE`); children
+   * already pending delete are left alone. What the policies did, and the key
+   * lists the record was removed from, are recorded in the store's `cascades`
+   * bucket, so that rejecting the delete can undo it.
    * @param  {Immutable.Map} store - The current object store.
    * @param  {String|Number} recordKey - The primary key of the record to delete.
    * @return {Immutable.Map} - A new copy of the store.
+   * @throws {Error} - If a `restrict` relation still has children.
    */
   delete(store, recordKey) {
+    return this.deleteWithCascades(store, recordKey).store;
+  }
+  /**
+   * Delete a record as `delete` does, and also return what was done to its
+   * children and links. A new record is removed along with its `cascades`
+   * entry, so its parent keeps the list, to replay it if the parent's delete
+   * is rejected and the new record restored.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The primary key of the record to delete.
+   * @return {Object} - An object with keys for the updated store, and the
+   * `cascaded` list of what was done, as recorded in the `cascades` bucket.
+   * @throws {Error} - If a `restrict` relation still has children.
+   */
+  deleteWithCascades(store, recordKey) {
+    if (this.entityType.deleted.get(store, recordKey)) {
+      return {store, cascaded: List()};
+    }
     let cur = this.get(store, recordKey);
+    let cascaded = List();
     Object.keys(this.entityType.inverseForeignKeys).forEach(relName => {
-      let relT = this.entityType.accessors[relName];
-      this.entityType.children(store, relName, cur).forEach((rel, relPK) => {
-        store = relT.current.delete(store, relPK);
+      let relT = this.entityType.relatedType(relName);
+      let policy = this.entityType.onDelete[relName] || ON_DELETE.CASCADE;
+      let children = this.entityType.children(store, relName, cur)
+        .filterNot((rel, relPK) => relT.deleted.get(store, relPK));
+      if (policy === ON_DELETE.RESTRICT && children.size) {
+        throw new Error(
+          `Cannot delete ${this.entityType.name} ${recordKey}, ` +
+          `it still has ${relName} ${children.keySeq().join(', ')}`
+        );
+      }
+      children.forEach((rel, relPK) => {
+        let entry = Map({type: relT.name, relation: relName, pk: relPK, policy, record: rel});
+        if (policy === ON_DELETE.SET_NULL) {
+          store = relT.foreignKey.set(store, this.entityType.inverseRelations[relName], rel, null).store;
+        } else {
+          const result = relT.current.deleteWithCascades(store, relPK);
+          store = result.store;
+          if (!relT.current.get(store, relPK) && result.cascaded.size) {
+            entry = entry.set('cascades', result.cascaded);
+          }
+        }
+        cascaded = cascaded.push(entry);
       });
     });
+    const links = this.entityType.links.detach(store, recordKey);
+    store = links.store;
+    cascaded = cascaded.concat(links.detached);
     let initial = this.entityType.initial.get(store, recordKey);
     if (!initial) {
-      return store.deleteIn(['current', this.entityType.name, recordKey]);
+      return {store: this.remove(store, recordKey), cascaded};
+    }
+    if (cascaded.size) {
+      store = store.setIn(['cascades', this.entityType.name, recordKey], cascaded);
     }
-    return this.entityType.deleted.set(store, recordKey, cur);
+    store = store.deleteIn(['saving', this.entityType.name, recordKey]);
+    return {store: this.entityType.deleted.set(store, recordKey, cur), cascaded};
   }
 }
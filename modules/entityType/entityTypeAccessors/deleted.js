@@ -1,4 +1,5 @@
-import { Map } from 'immutable';
+import { List, Map } from 'immutable';
+import { ON_DELETE } from '../policies';
 
 /**
  * The `EntityTypeDeletedAccessors` class provides an interface for the `deleted`
@@ -52,24 +53,62 @@ export class EntityTypeDeletedAccessors {
   accept(store, recordKey) {
     let cur = this.entityType.current.get(store, recordKey);
     Object.keys(this.entityType.inverseForeignKeys).forEach(relName => {
-      let relT = this.entityType.accessors[relName];
+      let relT = this.entityType.relatedType(relName);
       this.entityType.children(store, relName, cur).forEach((rel, relPK) => {
         store = relT.deleted.accept(store, relPK);
       });
     });
+    store = this.entityType.current.remove(store, recordKey);
     return store
       .deleteIn(['deleted', this.entityType.name, recordKey])
-      .deleteIn(['current', this.entityType.name, recordKey])
-      .deleteIn(['initial', this.entityType.name, recordKey]);
+      .deleteIn(['initial', this.entityType.name, recordKey])
+      .deleteIn(['conflicts', this.entityType.name, recordKey])
+      .deleteIn(['cascades', this.entityType.name, recordKey])
+      .deleteIn(['saving', this.entityType.name, recordKey]);
   }
   /**
    * Reject the deleted state of a record, removing it from the deleted bucket.
+   * Whatever the `onDelete` policies did to the record's children is undone:
+   * deleted children are restored, cleared foreign keys are set back, and the
+   * record's key is put back in the key lists it was removed from.
    * This is called by `entityType.current.reject`, which is the preferred method.
    * @param  {Immutable.Map} store - The current object store.
    * @param  {String|Number} recordKey - The primary key of the deleted record to reject.
    * @return {Immutable.Map} - A new copy of the store.
    */
   reject(store, recordKey) {
-    return store.deleteIn(['deleted', this.entityType.name, recordKey]);
+    const cascaded = store.getIn(['cascades', this.entityType.name, recordKey]) || List();
+    store = store
+      .deleteIn(['deleted', this.entityType.name, recordKey])
+      .deleteIn(['cascades', this.entityType.name, recordKey]);
+    return this.undoCascades(store, recordKey, cascaded);
+  }
+  /**
+   * Undo what deleting a record did to its children and links, as recorded in
+   * the `cascades` bucket. New children removed by the delete are restored,
+   * along with whatever their own deletes did.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The primary key of the restored record.
+   * @param  {Immutable.List} cascaded - The recorded cascades.
+   * @return {Immutable.Map} - A new copy of the store.
+   */
+  undoCascades(store, recordKey, cascaded) {
+    cascaded.filterNot(entry => entry.get('link')).forEach(entry => {
+      const relT = this.entityType.accessors[entry.get('type')];
+      const relName = this.entityType.inverseRelations[entry.get('relation')];
+      const relPK = entry.get('pk');
+      const rel = relT.current.get(store, relPK);
+      if (entry.get('policy') === ON_DELETE.SET_NULL) {
+        if (rel && relT.foreignKey.get(rel, relName) === null) {
+          store = relT.foreignKey.set(store, relName, rel, recordKey).store;
+        }
+      } else if (!rel) {
+        store = relT.current.set(store, relPK, entry.get('record'));
+        store = relT.deleted.undoCascades(store, relPK, entry.get('cascades') || List());
+      } else if (relT.deleted.get(store, relPK)) {
+        store = relT.deleted.reject(store, relPK);
+      }
+    });
+    return this.entityType.links.restore(store, recordKey, cascaded.filter(entry => entry.get('link')));
   }
 }
@@ -1,3 +1,5 @@
+import { readKey, writeKey } from '../keys';
+
 /**
  * The `EntityTypeForeignKeyAccessors` class provides an interface for dealing
  * with foreign key relationships amongst records. The getter and setter defined
@@ -21,11 +23,24 @@ export class EntityTypeForeignKeyAccessors {
    * @return {String|Number} - The foreign key value.
    */
   get(record, relName) {
-    return record.getIn(this.entityType.foreignKeys[relName]);
+    return readKey(record, this.entityType.foreignKeys[relName]);
+  }
+  /**
+   * Get the name of the type a record's foreign key points at. For a
+   * polymorphic relation, this is read from the record.
+   * @param  {Immutable.Map} record - The record to get the type from.
+   * @param  {String} relName - The name of the foreign key relation.
+   * @return {String|undefined} - The related type's name.
+   */
+  getType(record, relName) {
+    const polymorphic = this.entityType.polymorphic[relName];
+    return polymorphic ? record.getIn(polymorphic.typeKey) : this.entityType.relationTypes[relName];
   }
   /**
    * Update a record's foreign key value for some type; useful when propagating
-   * foreign key changes on accept.
+   * foreign key changes on accept. If the foreign key is part of the record's
+   * composite primary key, the record is moved to its new key, and the change
+   * cascades to its own children.
    * @param {Immutable.Map} store - The current object store.
    * @param {String} relName - The name of the entity type that had a primary key change.
    * @param {Immutable.Map} record - The record to receive the foreign key update.
@@ -33,9 +48,13 @@ export class EntityTypeForeignKeyAccessors {
    * @return {Immutable.Map} - An updated copy of the store.
    */
   set(store, relName, record, value) {
-    record = record.setIn(this.entityType.foreignKeys[relName], value);
+    let oldPK = this.entityType.keyFor(record);
+    record = writeKey(record, this.entityType.foreignKeys[relName], value);
     let pk = this.entityType.keyFor(record);
     store = this.entityType.current.set(store, pk, record);
+    if (oldPK !== pk && this.entityType.current.get(store, oldPK)) {
+      store = this.entityType.current.rekey(store, oldPK, pk);
+    }
     return {store, record};
   }
 }
@@ -0,0 +1,155 @@
+import { is, List, Map, OrderedSet } from 'immutable';
+
+/**
+ * The `EntityTypeIndexesAccessors` class maintains the store's `indexes` bucket
+ * for a single entity type. For each foreign key relationship declared on the
+ * type, the index maps a foreign key value to the set of primary keys of the
+ * `current` records holding that value, so that `EntityType#children` can look
+ * relatives up directly instead of scanning the related type's bucket.
+ * Many-to-many relationships holding lists of keys are indexed the same way,
+ * under every key in the list.
+ *
+ * The index is kept up to date by `EntityTypeCurrentAccessors#set` and
+ * `EntityTypeCurrentAccessors#remove`; application code should not need to call
+ * these methods, but must not write to the `current` bucket by hand either.
+ */
+export class EntityTypeIndexesAccessors {
+  /**
+   * The `EntityTypeIndexesAccessors` constructor.
+   * @param  {EntityType} entityType - The parent EntityType instance.
+   */
+  constructor(entityType) {
+    this.entityType = entityType;
+  }
+  /**
+   * Get the primary keys of all current records of this type whose foreign key
+   * for `relName` equals `foreignKey`.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String} relName - The relation's index name; see `nameFor`.
+   * @param  {String|Number} foreignKey - The foreign key value to look up.
+   * @return {Immutable.OrderedSet} - The matching primary keys.
+   */
+  get(store, relName, foreignKey) {
+    return store.getIn(['indexes', this.entityType.name, relName, foreignKey]) || OrderedSet();
+  }
+  /**
+   * Get the index for a single relationship.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String} relName - The relation's index name; see `nameFor`.
+   * @return {Immutable.Map} - Foreign key values mapped to sets of primary keys.
+   */
+  getAll(store, relName) {
+    return store.getIn(['indexes', this.entityType.name, relName]) || Map();
+  }
+  /**
+   * Get the name of the index for a relationship. Relations are indexed under
+   * their own name, except polymorphic foreign keys, which keep an index per
+   * related type, since keys of different types can be equal.
+   * @param  {String} relName - The name of the relation.
+   * @param  {String} type - The name of the related type.
+   * @return {String} - The index name.
+   */
+  nameFor(relName, type) {
+    return this.entityType.polymorphic[relName] ? `${relName}:${type}` : relName;
+  }
+  /**
+   * Get the related type for an index; the reverse of `nameFor`.
+   * @param  {String} indexName - The index name.
+   * @return {EntityType} - The related type.
+   */
+  typeFor(indexName) {
+    const split = indexName.indexOf(':');
+    if (split >= 0 && this.entityType.polymorphic[indexName.slice(0, split)]) {
+      return this.entityType.accessors[indexName.slice(split + 1)];
+    }
+    return this.entityType.relatedType(indexName);
+  }
+  /**
+   * Get the values a record is indexed under: its foreign key for each
+   * `foreignKeys` relationship, and its list of related keys for each `keys`
+   * relationship in `manyToMany`. A polymorphic foreign key is only indexed
+   * under the index for the type the record names.
+   * @param  {Immutable.Map} record - The record.
+   * @return {Immutable.Map} - Index names mapped to the indexed values.
+   */
+  indexedKeys(record) {
+    let indexed = Map();
+    Object.keys(this.entityType.foreignKeys).forEach(relName => {
+      const fk = this.entityType.foreignKey.get(record, relName);
+      const empty = fk === undefined || fk === null;
+      if (this.entityType.polymorphic[relName]) {
+        const relT = this.entityType.relatedType(relName, record);
+        indexed = relT && !empty ? indexed.set(this.nameFor(relName, relT.name), List.of(fk)) : indexed;
+        return;
+      }
+      indexed = indexed.set(relName, empty ? List() : List.of(fk));
+    });
+    Object.keys(this.entityType.manyToMany).forEach(relName => {
+      if (this.entityType.manyToMany[relName].keys) {
+        indexed = indexed.set(relName, this.entityType.links.get(record, relName));
+      }
+    });
+    return indexed;
+  }
+  /**
+   * Add a record's foreign keys to the index.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The primary key of the record.
+   * @param  {Immutable.Map} record - The record being indexed.
+   * @return {Immutable.Map} - An updated copy of the store.
+   */
+  add(store, recordKey, record) {
+    this.indexedKeys(record).forEach((fks, relName) => {
+      fks.forEach(fk => {
+        store = store.updateIn(
+          ['indexes', this.entityType.name, relName, fk],
+          OrderedSet(),
+          keys => keys.add(recordKey)
+        );
+      });
+    });
+    return store;
+  }
+  /**
+   * Remove a record's foreign keys from the index.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The primary key of the record.
+   * @param  {Immutable.Map} record - The indexed value of the record.
+   * @return {Immutable.Map} - An updated copy of the store.
+   */
+  remove(store, recordKey, record) {
+    this.indexedKeys(record).forEach((fks, relName) => {
+      fks.forEach(fk => {
+        const path = ['indexes', this.entityType.name, relName, fk];
+        const keys = store.getIn(path);
+        if (!keys) {
+          return;
+        }
+        const remaining = keys.delete(recordKey);
+        store = remaining.size ? store.setIn(path, remaining) : store.deleteIn(path);
+      });
+    });
+    return store;
+  }
+  /**
+   * Move a record's index entries from its previous value to its next value.
+   * Nothing is done if none of the indexed keys changed.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The primary key of the record.
+   * @param  {Immutable.Map|undefined} prev - The previously indexed value, if any.
+   * @param  {Immutable.Map|undefined} next - The new value, if any.
+   * @return {Immutable.Map} - An updated copy of the store.
+   */
+  update(store, recordKey, prev, next) {
+    if (prev && next && is(this.indexedKeys(prev), this.indexedKeys(next))) {
+      return store;
+    }
+    if (prev) {
+      store = this.remove(store, recordKey, prev);
+    }
+    if (next) {
+      store = this.add(store, recordKey, next);
+    }
+    return store;
+  }
+}
@@ -1,4 +1,5 @@
-import { Map } from 'immutable';
+import { is, Map } from 'immutable';
+import { mergeRecords } from '../merge';
 
 /**
  * The `EntityTypeInitialAccessors` class provides accessors over the `initial`
@@ -38,15 +39,33 @@ export class EntityTypeInitialAccessors {
   }
   /**
    * Load a batch of records into the store with initial values equal to current values.
+   *
+   * Records with local edits are not overwritten; instead, the edits are rebased
+   * onto the new values with a three-way merge (see `mergeRecords`), and any
+   * conflicting properties are settled by the merge strategy. Records pending
+   * delete stay deleted.
    * @param  {Immutable.Map} store - The current object store.
    * @param  {Array<Immutable.Map|Object>} records - The records to load. These can be POJOs.
+   * @param  {String|Function} [options.strategy] - How to settle conflicting
+   * properties; defaults to the typedef's `mergeStrategy`. See `MERGE_STRATEGY`.
    * @return {Immutable.Map} - An updated copy of the store.
    */
-  load(store, records) {
+  load(store, records, {strategy = this.entityType.mergeStrategy} = {}) {
     records.forEach(record => {
       record = this.entityType.raise(record);
       const pk = this.entityType.keyFor(record);
-      store = this.set(store, pk, record);
+      const base = this.get(store, pk);
+      const local = this.entityType.current.get(store, pk);
+      if (base && this.entityType.deleted.get(store, pk)) {
+        store = store.setIn(['initial', this.entityType.name, pk], record);
+      } else if (base && local && !is(base, local)) {
+        const merged = mergeRecords(base, local, record, strategy);
+        store = store.setIn(['initial', this.entityType.name, pk], record);
+        store = this.entityType.current.set(store, pk, merged.record);
+        store = this.entityType.current.setConflicts(store, pk, merged.conflicts);
+      } else {
+        store = this.set(store, pk, record);
+      }
     });
     return store;
   }
@@ -0,0 +1,207 @@
+import { List, Map } from 'immutable';
+import { writeKey } from '../keys';
+
+/**
+ * The `EntityTypeLinkAccessors` class manages the many-to-many relationships
+ * declared in the `manyToMany` section of a typedef. Each relationship takes
+ * one of three forms:
+ * - `{through: 'JoinType'}`: links are records of a join type, which has foreign
+ *   keys to both sides.
+ * - `{keys: ['tag_ids']}`: records of this type hold a list of related keys.
+ * - `{inverseKeys: ['tag_ids']}`: related records hold a list of keys of this type;
+ *   the related type must declare the matching `keys` relationship.
+ */
+export class EntityTypeLinkAccessors {
+  /**
+   * The `EntityTypeLinkAccessors` constructor.
+   * @param  {EntityType} entityType - The parent EntityType instance.
+   */
+  constructor(entityType) {
+    this.entityType = entityType;
+  }
+  /**
+   * Get the join type of a `through` relationship, and the names of its foreign
+   * key relations to this type and to the related type.
+   * @param  {String} relName - The name of the related type.
+   * @return {Object} - The join relationship, as `{joinT, own, other}`.
+   */
+  join(relName) {
+    const joinT = this.entityType.accessors[this.entityType.manyToMany[relName].through];
+    const relationTo = type => Object.keys(joinT.foreignKeys).filter(rel => joinT.relationTypes[rel] === type)[0];
+    return {joinT, own: relationTo(this.entityType.name), other: relationTo(relName)};
+  }
+  /**
+   * Get the list of related keys held by a record, for a `keys` relationship.
+   * @param  {Immutable.Map} record - The record to get the keys from.
+   * @param  {String} relName - The name of the related type.
+   * @return {Immutable.List} - The related keys.
+   */
+  get(record, relName) {
+    return record.getIn(this.entityType.manyToMany[relName].keys) || List();
+  }
+  /**
+   * Get the primary keys of the current records linked to a record. Join
+   * records pending delete don't count as links.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String} relName - The name of the related type.
+   * @param  {Immutable.Map} record - The source record.
+   * @return {Immutable.Iterable} - The related primary keys.
+   */
+  keys(store, relName, record) {
+    const spec = this.entityType.manyToMany[relName];
+    const pk = this.entityType.keyFor(record);
+    if (spec.through) {
+      const {joinT, own, other} = this.join(relName);
+      return joinT.indexes
+        .get(store, joinT.indexes.nameFor(own, this.entityType.name), pk)
+        .filterNot(joinPK => joinT.deleted.get(store, joinPK))
+        .map(joinPK => joinT.foreignKey.get(joinT.current.get(store, joinPK), other));
+    }
+    if (spec.keys) {
+      return this.get(record, relName);
+    }
+    return this.entityType.accessors[relName].indexes.get(store, this.entityType.name, pk);
+  }
+  /**
+   * Link two records. Relinking a join record pending delete restores it.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String} relName - The name of the related type.
+   * @param  {Immutable.Map} record - The source record.
+   * @param  {String|Number} relKey - The primary key of the record to link to.
+   * @return {Immutable.Map} - An updated copy of the store.
+   */
+  link(store, relName, record, relKey) {
+    const spec = this.entityType.manyToMany[relName];
+    const pk = this.entityType.keyFor(record);
+    const relT = this.entityType.accessors[relName];
+    if (spec.inverseKeys) {
+      return relT.links.link(store, this.entityType.name, relT.current.get(store, relKey), pk);
+    }
+    if (this.keys(store, relName, record).includes(relKey)) {
+      return store;
+    }
+    if (spec.through) {
+      const {joinT, own, other} = this.join(relName);
+      let join = writeKey(Map(), joinT.foreignKeys[own], pk);
+      join = writeKey(join, joinT.foreignKeys[other], relKey);
+      const joinPK = joinT.keyFor(join);
+      if (joinPK !== undefined && joinT.deleted.get(store, joinPK)) {
+        return joinT.current.reject(store, joinPK);
+      }
+      return joinT.current.create(store, join).store;
+    }
+    const cur = this.entityType.current.get(store, pk);
+    return this.entityType.current.set(store, pk, cur.setIn(spec.keys, this.get(cur, relName).push(relKey)));
+  }
+  /**
+   * Unlink two records. For join types, the linking records are deleted.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String} relName - The name of the related type.
+   * @param  {Immutable.Map} record - The source record.
+   * @param  {String|Number} relKey - The primary key of the record to unlink.
+   * @return {Immutable.Map} - An updated copy of the store.
+   */
+  unlink(store, relName, record, relKey) {
+    const spec = this.entityType.manyToMany[relName];
+    const pk = this.entityType.keyFor(record);
+    const relT = this.entityType.accessors[relName];
+    if (spec.inverseKeys) {
+      return relT.links.unlink(store, this.entityType.name, relT.current.get(store, relKey), pk);
+    }
+    if (spec.through) {
+      const {joinT, own, other} = this.join(relName);
+      joinT.indexes.get(store, joinT.indexes.nameFor(own, this.entityType.name), pk).forEach(joinPK => {
+        if (joinT.foreignKey.get(joinT.current.get(store, joinPK), other) === relKey) {
+          store = joinT.current.delete(store, joinPK);
+        }
+      });
+      return store;
+    }
+    const cur = this.entityType.current.get(store, pk);
+    const keys = this.get(cur, relName);
+    if (!keys.includes(relKey)) {
+      return store;
+    }
+    return this.entityType.current.set(store, pk, cur.setIn(spec.keys, keys.filterNot(key => key === relKey)));
+  }
+  /**
+   * Replace a record's key in the lists held by related records, for
+   * `inverseKeys` relationships; used when a record's primary key changes.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The old primary key.
+   * @param  {String|Number} pk - The new primary key.
+   * @return {Immutable.Map} - An updated copy of the store.
+   */
+  rekey(store, recordKey, pk) {
+    return this.replaceInverseKeys(store, recordKey, keys => keys.map(key => (key === recordKey ? pk : key)));
+  }
+  /**
+   * Remove a record's key from the lists held by related records, for
+   * `inverseKeys` relationships; used when a record is deleted.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The primary key of the deleted record.
+   * @return {Object} - An object with keys for the updated store, and the list
+   * of `detached` links, as maps of the related `type`, the `relation`, the
+   * related `pk` and the `index` the key was at in its list; see `restore`.
+   */
+  detach(store, recordKey) {
+    let detached = List();
+    Object.keys(this.entityType.manyToMany).forEach(relName => {
+      const path = this.entityType.manyToMany[relName].inverseKeys;
+      if (!path) {
+        return;
+      }
+      const relT = this.entityType.accessors[relName];
+      relT.indexes.get(store, this.entityType.name, recordKey).forEach(relPK => {
+        const index = relT.current.get(store, relPK).getIn(path).indexOf(recordKey);
+        detached = detached.push(Map({type: relName, relation: relName, pk: relPK, index, link: true}));
+      });
+    });
+    store = this.replaceInverseKeys(store, recordKey, keys => keys.filterNot(key => key === recordKey));
+    return {store, detached};
+  }
+  /**
+   * Put links removed by `detach` back at their old place in the key lists;
+   * used when a delete is rejected. Related records which are gone, or hold
+   * the key again, are left alone.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The primary key of the restored record.
+   * @param  {Immutable.List} detached - The links, as returned by `detach`.
+   * @return {Immutable.Map} - An updated copy of the store.
+   */
+  restore(store, recordKey, detached) {
+    detached.forEach(link => {
+      const relT = this.entityType.accessors[link.get('type')];
+      const path = this.entityType.manyToMany[link.get('relation')].inverseKeys;
+      const rel = relT.current.get(store, link.get('pk'));
+      const keys = rel && (rel.getIn(path) || List());
+      if (!rel || keys.includes(recordKey)) {
+        return;
+      }
+      const index = Math.min(link.get('index'), keys.size);
+      store = relT.current.set(store, link.get('pk'), rel.setIn(path, keys.insert(index, recordKey)));
+    });
+    return store;
+  }
+  /**
+   * Update the key lists of every current record holding a record's key.
+   * @param  {Immutable.Map} store - The current object store.
+   * @param  {String|Number} recordKey - The primary key to look for.
+   * @param  {Function} update - Takes a key list and returns the new one.
+   * @return {Immutable.Map} - An updated copy of the store.
+   */
+  replaceInverseKeys(store, recordKey, update) {
+    Object.keys(this.entityType.manyToMany).forEach(relName => {
+      const path = this.entityType.manyToMany[relName].inverseKeys;
+      if (!path) {
+        return;
+      }
+      const relT = this.entityType.accessors[relName];
+      relT.indexes.get(store, this.entityType.name, recordKey).forEach(relPK => {
+        const rel = relT.current.get(store, relPK);
+        store = relT.current.set(store, relPK, rel.setIn(path, update(rel.getIn(path))));
+      });
+    });
+    return store;
+  }
+}
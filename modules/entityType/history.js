@@ -0,0 +1,176 @@
+import { List, Map } from 'immutable';
+
+/**
+ * Start recording undo history for a store.
+ *
+ * A history is an `Immutable.Map` holding the `present` store, lists of `past`
+ * and `future` stores, and the history options. Like stores, histories are
+ * immutable; every function here returns a new copy.
+ * @param  {Immutable.Map} store - The object store to start from.
+ * @param  {Number} [options.limit] - The number of steps to keep for undo.
+ * @return {Immutable.Map} - A new history.
+ */
+export function newHistory(store, {limit = 100} = {}) {
+  return Map({
+    past: List(),
+    present: store,
+    future: List(),
+    limit,
+    checkpoints: 0
+  });
+}
+
+/**
+ * Record a new undoable step. Redo history is discarded, and the oldest step is
+ * dropped once there are more than `limit` steps. Recording the present store
+ * again is a no-op.
+ * @param  {Immutable.Map} history - The history.
+ * @param  {Immutable.Map} store - The store after the step.
+ * @return {Immutable.Map} - An updated copy of the history.
+ */
+export function step(history, store) {
+  if (store === history.get('present')) {
+    return history;
+  }
+  let past = history.get('past').push(history.get('present'));
+  if (past.size > history.get('limit')) {
+    past = past.shift();
+  }
+  return history.merge({past, present: store, future: List()});
+}
+
+/**
+ * Record a store that undo must not go back past, such as one holding values
+ * the server has acknowledged. Both undo and redo history are discarded.
+ * @param  {Immutable.Map} history - The history.
+ * @param  {Immutable.Map} store - The store after the checkpoint.
+ * @return {Immutable.Map} - An updated copy of the history.
+ */
+export function checkpoint(history, store) {
+  return history.merge({
+    past: List(),
+    present: store,
+    future: List(),
+    checkpoints: history.get('checkpoints') + 1
+  });
+}
+
+/**
+ * Whether there is a step to undo.
+ * @param  {Immutable.Map} history - The history.
+ * @return {Boolean}
+ */
+export function canUndo(history) {
+  return history.get('past').size > 0;
+}
+
+/**
+ * Whether there is an undone step to redo.
+ * @param  {Immutable.Map} history - The history.
+ * @return {Boolean}
+ */
+export function canRedo(history) {
+  return history.get('future').size > 0;
+}
+
+/**
+ * Go back one step. Does nothing if there is nothing to undo.
+ * @param  {Immutable.Map} history - The history.
+ * @return {Immutable.Map} - An updated copy of the history.
+ */
+export function undo(history) {
+  if (!canUndo(history)) {
+    return history;
+  }
+  return history.merge({
+    past: history.get('past').pop(),
+    present: history.get('past').last(),
+    future: history.get('future').push(history.get('present'))
+  });
+}
+
+/**
+ * Go forward one undone step. Does nothing if there is nothing to redo.
+ * @param  {Immutable.Map} history - The history.
+ * @return {Immutable.Map} - An updated copy of the history.
+ */
+export function redo(history) {
+  if (!canRedo(history)) {
+    return history;
+  }
+  return history.merge({
+    past: history.get('past').push(history.get('present')),
+    present: history.get('future').last(),
+    future: history.get('future').pop()
+  });
+}
+
+/**
+ * Run several mutations as a single undoable step.
+ * If a checkpoint is recorded during the group, the group can't be undone and
+ * the history is returned as `fn` left it.
+ * @param  {Immutable.Map} history - The history.
+ * @param  {Function} fn - Takes the history and returns an updated copy.
+ * @return {Immutable.Map} - An updated copy of the history.
+ */
+export function group(history, fn) {
+  const result = fn(history);
+  if (result.get('checkpoints') !== history.get('checkpoints')) {
+    return result;
+  }
+  return step(history, result.get('present'));
+}
+
+/**
+ * Wrap a set of entity type accessors so that they take and return a history
+ * instead of a store.
+ *
+ * User-level mutations (`current.create`, `current.set`, `current.delete`,
+ * `current.reject`, `deleted.reject` and `foreignKey.set`) are recorded as
+ * undoable steps. Server-driven calls (`initial.load`, `initial.set`,
+ * `current.accept` and `deleted.accept`) are recorded as checkpoints, so undo never
+ * brings back data the server has already acknowledged.
+ *
+ * Methods which return extra values alongside the store, like `current.create`,
+ * return the same object with `history` in place of `store`. To read from the
+ * store, use the original accessors with `history.get('present')`.
+ *
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @return {Object<String, Object>} - Wrapped accessors, keyed by type name.
+ */
+export function historyAccessors(accessors) {
+  let wrapped = {};
+  Object.keys(accessors).forEach(name => {
+    const entityType = accessors[name];
+    const wrap = (bucket, method, recordFn) => (history, ...args) => {
+      const result = entityType[bucket][method](history.get('present'), ...args);
+      if (Map.isMap(result)) {
+        return recordFn(history, result);
+      }
+      let wrappedResult = Object.assign({}, result, {history: recordFn(history, result.store)});
+      delete wrappedResult.store;
+      return wrappedResult;
+    };
+    wrapped[name] = {
+      current: {
+        create: wrap('current', 'create', step),
+        set: wrap('current', 'set', step),
+        delete: wrap('current', 'delete', step),
+        reject: wrap('current', 'reject', step),
+        accept: wrap('current', 'accept', checkpoint)
+      },
+      initial: {
+        load: wrap('initial', 'load', checkpoint),
+        set: wrap('initial', 'set', checkpoint)
+      },
+      deleted: {
+        reject: wrap('deleted', 'reject', step),
+        accept: wrap('deleted', 'accept', checkpoint)
+      },
+      foreignKey: {
+        set: wrap('foreignKey', 'set', step)
+      }
+    };
+  });
+  return wrapped;
+}
@@ -0,0 +1,110 @@
+import { List, Map } from 'immutable';
+
+/**
+ * Constants naming the problems `checkIntegrity` reports.
+ * @type {Object}
+ */
+export const INTEGRITY_PROBLEM = {
+  /**
+   * The foreign key points at a record which isn't in the store: it was never
+   * loaded, or the key is a stale temporary key.
+   * @type {String}
+   */
+  DANGLING: 'dangling',
+  /**
+   * The record's parent is pending delete, but the record isn't.
+   * @type {String}
+   */
+  DELETED_PARENT: 'deletedParent',
+  /**
+   * The record's parent is new, so it must be created on the server first. This
+   * is a warning; `planSync` orders operations to allow for it.
+   * @type {String}
+   */
+  NEW_PARENT: 'newParent'
+};
+
+/**
+ * Check the foreign keys of one current record.
+ * @param  {EntityType} entityType - The type of the record.
+ * @param  {Immutable.Map} store - The current object store.
+ * @param  {String|Number} pk - The primary key of the record.
+ * @return {Immutable.List} - The problems found, as maps with the `relation`,
+ * the foreign `key`, the `problem` (one of `INTEGRITY_PROBLEM`), its `severity`
+ * (`error` or `warning`) and a `message`. Deleted and missing records have no problems.
+ */
+export function checkRecordIntegrity(entityType, store, pk) {
+  const record = entityType.current.get(store, pk);
+  if (!record || entityType.deleted.get(store, pk)) {
+    return List();
+  }
+  return Object.keys(entityType.foreignKeys).reduce((problems, relName) => {
+    const fk = entityType.foreignKey.get(record, relName);
+    if (fk === undefined || fk === null) {
+      return problems;
+    }
+    const relT = entityType.relatedType(relName, record);
+    const problem = (kind, severity, message) => problems.push(Map({
+      relation: relName,
+      key: fk,
+      problem: kind,
+      severity,
+      message: `${entityType.name} ${pk} ${message}`
+    }));
+    if (!relT) {
+      const type = entityType.foreignKey.getType(record, relName);
+      return problem(INTEGRITY_PROBLEM.DANGLING, 'error', `points at ${relName} ${fk} of unknown type ${type}`);
+    }
+    if (!relT.current.get(store, fk)) {
+      return problem(INTEGRITY_PROBLEM.DANGLING, 'error', `points at ${relName} ${fk}, which is not in the store`);
+    }
+    if (relT.deleted.get(store, fk)) {
+      return problem(INTEGRITY_PROBLEM.DELETED_PARENT, 'error', `points at ${relName} ${fk}, which is pending delete`);
+    }
+    if (!relT.initial.get(store, fk)) {
+      return problem(INTEGRITY_PROBLEM.NEW_PARENT, 'warning', `points at ${relName} ${fk}, which is new`);
+    }
+    return problems;
+  }, List());
+}
+
+/**
+ * Check every foreign key of every current, undeleted record in the store.
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @param  {Immutable.Map} store - The current object store.
+ * @return {Immutable.Map} - Type names mapped to primary keys mapped to lists of
+ * problems (see `checkRecordIntegrity`). Records and types without problems are omitted.
+ */
+export function checkIntegrity(accessors, store) {
+  return Object.keys(accessors).reduce((result, type) => {
+    const entityType = accessors[type];
+    const problems = entityType.current.getAll(store)
+      .map((record, pk) => checkRecordIntegrity(entityType, store, pk))
+      .filter(list => list.size);
+    return problems.size ? result.set(type, problems) : result;
+  }, Map());
+}
+
+/**
+ * Throw if the store has integrity errors; meant for development builds, e.g.
+ * after each reducer call. Warnings are ignored.
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @param  {Immutable.Map} store - The current object store.
+ * @return {Immutable.Map} - The store, unchanged.
+ * @throws {Error} - If there are errors. The error's `problems` property holds
+ * them, grouped as by `checkIntegrity`.
+ */
+export function assertIntegrity(accessors, store) {
+  const problems = checkIntegrity(accessors, store)
+    .map(records => records
+      .map(list => list.filter(problem => problem.get('severity') === 'error'))
+      .filter(list => list.size))
+    .filter(records => records.size);
+  if (problems.size) {
+    const messages = problems.toList().flatMap(records => records.toList().flatten(true)).map(problem => problem.get('message'));
+    const error = new Error(`Store integrity check failed: ${messages.join('; ')}`);
+    error.problems = problems;
+    throw error;
+  }
+  return store;
+}
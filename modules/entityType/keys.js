@@ -0,0 +1,110 @@
+/**
+ * Whether a key path is composite, i.e. a list of keypaths rather than a
+ * single keypath.
+ *
+ * @example
+ * isComposite(['id'])  // false
+ * isComposite([['account_id'], ['user_id']])  // true
+ * @param  {Array<String>|Array<Array<String>>} path - A primary or foreign key path.
+ * @return {Boolean}
+ */
+export function isComposite(path) {
+  return Array.isArray(path[0]);
+}
+
+/**
+ * Encode the parts of a composite key as a single bucket key. The encoding is
+ * stable, so equal parts always give the same key.
+ * @param  {Array<String|Number>} parts - The key values, in key path order.
+ * @return {String} - The encoded key.
+ */
+export function encodeKey(parts) {
+  return JSON.stringify(parts);
+}
+
+/**
+ * Decode a composite bucket key into its parts.
+ * @param  {String} key - A key produced by `encodeKey`.
+ * @return {Array<String|Number>} - The key values, in key path order.
+ */
+export function decodeKey(key) {
+  return JSON.parse(key);
+}
+
+/**
+ * Read a key from a record. Composite keys are encoded with `encodeKey`, and
+ * are `undefined` unless every part is present.
+ * @param  {Immutable.Map} record - The record to read from.
+ * @param  {Array<String>|Array<Array<String>>} path - The key path.
+ * @return {String|Number|undefined} - The key value.
+ */
+export function readKey(record, path) {
+  if (!isComposite(path)) {
+    return record.getIn(path);
+  }
+  const parts = path.map(part => record.getIn(part));
+  if (parts.some(part => part === undefined || part === null)) {
+    return undefined;
+  }
+  return encodeKey(parts);
+}
+
+/**
+ * Write a key to a record. Composite keys are decoded and written part by part.
+ * @param  {Immutable.Map} record - The record to write to.
+ * @param  {Array<String>|Array<Array<String>>} path - The key path.
+ * @param  {String|Number} value - The key value.
+ * @return {Immutable.Map} - The updated record.
+ */
+export function writeKey(record, path, value) {
+  if (!isComposite(path)) {
+    return record.setIn(path, value);
+  }
+  const parts = value === undefined || value === null ? path.map(() => value) : decodeKey(value);
+  return path.reduce((result, part, i) => result.setIn(part, parts[i]), record);
+}
+
+/**
+ * A key generator handing out decrementing negative integers from the store's
+ * `_nextKey`. This is the default for every type.
+ * @return {Function} - A key generator; takes the store and the `EntityType`,
+ * and returns an object with keys for the updated store and the new key.
+ */
+export function negativeKeys() {
+  return (store, entityType) => {
+    if (isComposite(entityType.key)) {
+      throw new Error(`Cannot generate a composite key for ${entityType.name}; supply every part of the key`);
+    }
+    const key = store.get('_nextKey');
+    return {store: store.set('_nextKey', key - 1), key};
+  };
+}
+
+/**
+ * A key generator handing out strings built from a prefix and the store's
+ * `_nextKey` counter, e.g. `tmp-1`, `tmp-2`.
+ * @param  {String} prefix - Prepended to each key.
+ * @return {Function} - A key generator.
+ */
+export function prefixedKeys(prefix) {
+  const next = negativeKeys();
+  return (store, entityType) => {
+    const result = next(store, entityType);
+    return {store: result.store, key: `${prefix}${-result.key}`};
+  };
+}
+
+/**
+ * A key generator handing out random, RFC 4122 version 4 UUIDs, for backends
+ * which accept client-assigned keys.
+ * @return {Function} - A key generator.
+ */
+export function uuidKeys() {
+  return store => {
+    const key = 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+      const r = Math.random() * 16 | 0;
+      return (c === 'x' ? r : r & 0x3 | 0x8).toString(16);
+    });
+    return {store, key};
+  };
+}
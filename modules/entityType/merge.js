@@ -0,0 +1,72 @@
+import { is, Map, Set } from 'immutable';
+
+/**
+ * Constants naming the built-in strategies for resolving conflicting
+ * properties when reloading records with local edits.
+ * @type {Object}
+ */
+export const MERGE_STRATEGY = {
+  /**
+   * Take the new server value.
+   * @type {String}
+   */
+  SERVER_WINS: 'server',
+  /**
+   * Keep the local edit.
+   * @type {String}
+   */
+  CLIENT_WINS: 'client',
+  /**
+   * Keep the local edit, and record the conflict for the application to
+   * resolve; see `EntityTypeCurrentAccessors#getConflicts`.
+   * @type {String}
+   */
+  MANUAL: 'manual'
+};
+
+/**
+ * Three-way merge a locally edited record with a new server value.
+ *
+ * Each top-level property is merged on its own. Properties changed on only one
+ * side take that side's value. Properties changed differently on both sides are
+ * conflicts, settled by `strategy`: either one of `MERGE_STRATEGY`, or a function
+ * of `(propKey, conflict)` returning the value to keep, where `conflict` is a map
+ * with `base`, `local` and `remote` keys.
+ *
+ * @param  {Immutable.Map} base - The previously accepted value.
+ * @param  {Immutable.Map} local - The current, locally edited value.
+ * @param  {Immutable.Map} remote - The newly accepted value.
+ * @param  {String|Function} strategy - How to settle conflicting properties.
+ * @return {Object} - An object with keys for the merged `record`, and the
+ * `conflicts` left for manual resolution, as a map of property keys to conflicts.
+ */
+export function mergeRecords(base, local, remote, strategy) {
+  let record = remote;
+  let conflicts = Map();
+  Set.fromKeys(base).union(Set.fromKeys(local), Set.fromKeys(remote)).forEach(propKey => {
+    const conflict = Map({
+      base: base.get(propKey),
+      local: local.get(propKey),
+      remote: remote.get(propKey)
+    });
+    let value;
+    if (is(conflict.get('local'), conflict.get('base')) || is(conflict.get('local'), conflict.get('remote'))) {
+      value = conflict.get('remote');
+    } else if (is(conflict.get('remote'), conflict.get('base'))) {
+      value = conflict.get('local');
+    } else if (typeof strategy === 'function') {
+      value = strategy(propKey, conflict);
+    } else if (strategy === MERGE_STRATEGY.SERVER_WINS) {
+      value = conflict.get('remote');
+    } else if (strategy === MERGE_STRATEGY.CLIENT_WINS) {
+      value = conflict.get('local');
+    } else if (strategy === MERGE_STRATEGY.MANUAL) {
+      value = conflict.get('local');
+      conflicts = conflicts.set(propKey, conflict);
+    } else {
+      throw new Error(`Unknown merge strategy ${strategy}`);
+    }
+    record = value === undefined ? record.delete(propKey) : record.set(propKey, value);
+  });
+  return {record, conflicts};
+}
@@ -0,0 +1,115 @@
+import { List, OrderedMap } from 'immutable';
+import { readKey, writeKey } from './keys';
+
+/**
+ * Turn an embedded value, a single record or a list of them, into a list.
+ * @param  {*} value - The embedded value.
+ * @return {Immutable.List} - The embedded records.
+ */
+function toList(value) {
+  return List.isList(value) || Array.isArray(value) ? List(value) : List([value]);
+}
+
+/**
+ * Load nested API documents into the `initial` bucket, splitting them into
+ * their entity types along the `embedded` relations declared in the typedefs.
+ *
+ * Embedded records are removed from their container, and keys are filled in
+ * from the nesting where they are missing: an embedded child gets its foreign
+ * key to the container, along with the container's type if the key is
+ * polymorphic, a container gets its foreign key to an embedded parent,
+ * and a container gets the key list of embedded many-to-many records. Every
+ * type is loaded with one call to `initial.load`, so local edits are merged as
+ * usual.
+ *
+ *   const typedefs = {
+ *     Account: {
+ *       key: ['id'],
+ *       foreignKeys: {},
+ *       inverseForeignKeys: {User: ['account_id']},
+ *       embedded: {User: ['users']}
+ *     },
+ *     // ...
+ *   };
+ *   loadNormalized(accessors, store, 'Account', {id: 1, users: [{id: 2}, {id: 3}]});
+ *
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @param  {Immutable.Map} store - The current object store.
+ * @param  {String} typeName - The type of the top-level documents.
+ * @param  {Object|Array<Object>} payload - A document, or a list of documents.
+ * These can be POJOs.
+ * @return {Object} - An object with keys for the updated store, and a `keys`
+ * list of the primary keys of the top-level documents.
+ * @throws {Error} - If the type is unknown, or a document lacks a primary key.
+ */
+export function loadNormalized(accessors, store, typeName, payload) {
+  if (!accessors[typeName]) {
+    throw new Error(`Cannot load unknown type ${typeName}`);
+  }
+  let records = {};
+
+  const visit = (entityType, doc) => {
+    let record = entityType.raise(doc);
+    let nested = {};
+    Object.keys(entityType.embedded).forEach(relName => {
+      const path = entityType.embedded[relName];
+      const value = record.getIn(path);
+      record = record.deleteIn(path);
+      if (value !== undefined && value !== null) {
+        nested[relName] = toList(value);
+      }
+    });
+
+    Object.keys(nested).forEach(relName => {
+      if (!entityType.foreignKeys[relName]) {
+        return;
+      }
+      const relT = entityType.relatedType(relName, record);
+      if (!relT) {
+        throw new Error(`Cannot load ${entityType.name} with an embedded ${relName} of unknown type`);
+      }
+      const parentPK = visit(relT, nested[relName].first());
+      if (entityType.foreignKey.get(record, relName) === undefined) {
+        record = writeKey(record, entityType.foreignKeys[relName], parentPK);
+      }
+    });
+
+    const pk = entityType.keyFor(record);
+    if (pk === undefined || pk === null) {
+      throw new Error(`Cannot load ${entityType.name} without a primary key: ${JSON.stringify(record)}`);
+    }
+
+    Object.keys(nested).forEach(relName => {
+      const relT = entityType.relatedType(relName);
+      if (entityType.inverseForeignKeys[relName]) {
+        const childRel = entityType.inverseRelations[relName];
+        const path = relT.foreignKeys[childRel];
+        const polymorphic = relT.polymorphic[childRel];
+        nested[relName].forEach(child => {
+          child = relT.raise(child);
+          if (readKey(child, path) === undefined) {
+            child = writeKey(child, path, pk);
+          }
+          if (polymorphic && child.getIn(polymorphic.typeKey) === undefined) {
+            child = child.setIn(polymorphic.typeKey, entityType.name);
+          }
+          visit(relT, child);
+        });
+      } else if (entityType.manyToMany[relName]) {
+        const relKeys = nested[relName].map(rel => visit(relT, rel));
+        if (!record.hasIn(entityType.manyToMany[relName].keys)) {
+          record = record.setIn(entityType.manyToMany[relName].keys, relKeys);
+        }
+      }
+    });
+
+    records[entityType.name] = (records[entityType.name] || OrderedMap()).set(pk, record);
+    return pk;
+  };
+
+  const keys = toList(payload).map(doc => visit(accessors[typeName], doc));
+  Object.keys(records).forEach(type => {
+    store = accessors[type].initial.load(store, records[type].toList());
+  });
+  return {store, keys};
+}
@@ -0,0 +1,230 @@
+import { fromJS, Map } from 'immutable';
+
+/**
+ * The snapshot format written by `serializeStore`. Bump this whenever the
+ * format changes, and add an entry to `SNAPSHOT_UPGRADES` so that
+ * `deserializeStore` can still read the old one.
+ * - 1: `initial`, `current` and `deleted` buckets, indexes and `_nextKey`.
+ * - 2: adds the `conflicts` bucket.
+ * - 3: adds the `cascades` bucket.
+ * - 4: adds the `saving` bucket.
+ * - 5: `cascades` entries name the inverse foreign key `relation` they followed.
+ * - 6: `cascades` also holds the many-to-many key lists a deleted record was
+ *   removed from, as entries marked `link`.
+ * - 7: `cascades` entries for new children removed by a delete hold the
+ *   child's own `cascades`.
+ * - 8: indexes are left out, and rebuilt from `current` when read.
+ * @type {Number}
+ */
+export const SNAPSHOT_VERSION = 8;
+
+/**
+ * Add an empty bucket to a snapshot.
+ * @param  {Object} snapshot - The snapshot.
+ * @param  {String} bucket - The bucket name.
+ * @return {Object} - An updated copy of the snapshot.
+ */
+function addBucket(snapshot, bucket) {
+  return Object.assign({}, snapshot, {buckets: Object.assign({[bucket]: {}}, snapshot.buckets)});
+}
+
+/**
+ * Functions bringing a snapshot from each older version to the next one, keyed
+ * by the version they read. Buckets added by a version start out empty.
+ * @type {Object<Number, Function>}
+ */
+const SNAPSHOT_UPGRADES = {
+  1: snapshot => addBucket(snapshot, 'conflicts'),
+  2: snapshot => addBucket(snapshot, 'cascades'),
+  3: snapshot => addBucket(snapshot, 'saving'),
+  // before named relations, cascades were keyed by the child type's name,
+  // which was also the relation's name
+  4: snapshot => {
+    const cascades = snapshot.buckets.cascades;
+    let upgraded = {};
+    Object.keys(cascades).forEach(type => {
+      upgraded[type] = cascades[type].map(([key, entries]) => [
+        key,
+        entries.map(entry => Object.assign({relation: entry.type}, entry))
+      ]);
+    });
+    return Object.assign({}, snapshot, {buckets: Object.assign({}, snapshot.buckets, {cascades: upgraded})});
+  },
+  // older versions didn't record detached links, so there are none to restore
+  5: snapshot => snapshot,
+  // older versions dropped the cascades of new children
+  6: snapshot => snapshot,
+  // stored indexes are ignored; they may predate a change to the typedefs
+  7: snapshot => snapshot
+};
+
+/**
+ * The buckets of per-record values included in a snapshot.
+ * @type {Array<String>}
+ */
+const BUCKETS = ['initial', 'current', 'deleted', 'conflicts', 'cascades', 'saving'];
+
+/**
+ * Turn a map of type names to keyed values into a POJO of type names to
+ * `[key, value]` entry lists, so that numeric keys survive JSON encoding.
+ * @param  {Immutable.Map} byType - Type names mapped to keyed maps.
+ * @param  {Function} encode - Converts each value to plain JSON.
+ * @return {Object<String, Array>} - The encoded entries.
+ */
+function encodeEntries(byType, encode) {
+  return byType.map(keyed => keyed.entrySeq().map(([key, value]) => [key, encode(value)]).toArray()).toObject();
+}
+
+/**
+ * The inverse of `encodeEntries`.
+ * @param  {Object<String, Array>} byType - The encoded entries.
+ * @param  {Function} decode - Converts each plain JSON value back.
+ * @return {Immutable.Map} - Type names mapped to keyed maps.
+ */
+function decodeEntries(byType, decode) {
+  return Object.keys(byType).reduce((result, type) => result.set(
+    type,
+    byType[type].reduce((keyed, [key, value]) => keyed.set(key, decode(value)), Map())
+  ), Map());
+}
+
+/**
+ * Rebuild the indexes of a store from its `current` bucket. Indexes follow from
+ * the typedefs, which may have changed since a snapshot was written.
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @param  {Immutable.Map} store - The object store, without indexes.
+ * @return {Immutable.Map} - The store, with its indexes.
+ */
+function rebuildIndexes(accessors, store) {
+  return Object.keys(accessors).reduce((indexed, type) => accessors[type].current.getAll(store).reduce(
+    (result, record, pk) => accessors[type].indexes.add(result, pk, record),
+    indexed
+  ), store.set('indexes', Map()));
+}
+
+/**
+ * Convert a store into a plain JSON snapshot. Every bucket and `_nextKey` are
+ * included, and primary keys keep their types, so `deserializeStore` gives back
+ * a store equal to the original. The indexes are left out, to be rebuilt.
+ * @param  {Immutable.Map} store - The object store to serialize.
+ * @return {Object} - The snapshot.
+ */
+export function serializeStore(store) {
+  let snapshot = {version: SNAPSHOT_VERSION, nextKey: store.get('_nextKey'), buckets: {}};
+  BUCKETS.forEach(bucket => {
+    snapshot.buckets[bucket] = encodeEntries(store.get(bucket), value => value.toJS());
+  });
+  return snapshot;
+}
+
+/**
+ * Rebuild a store from a snapshot made by `serializeStore`. Snapshots written
+ * by older versions are upgraded first; see `SNAPSHOT_VERSION`. The indexes
+ * are rebuilt with the given accessors.
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @param  {Object} snapshot - The snapshot.
+ * @return {Immutable.Map} - The object store.
+ * @throws {Error} - If the snapshot was written in an unknown format.
+ */
+export function deserializeStore(accessors, snapshot) {
+  if (!snapshot || (snapshot.version !== SNAPSHOT_VERSION && !SNAPSHOT_UPGRADES[snapshot.version])) {
+    throw new Error(`Unsupported store snapshot version ${snapshot && snapshot.version}`);
+  }
+  while (snapshot.version !== SNAPSHOT_VERSION) {
+    snapshot = Object.assign(SNAPSHOT_UPGRADES[snapshot.version](snapshot), {version: snapshot.version + 1});
+  }
+  let store = Map();
+  BUCKETS.forEach(bucket => {
+    store = store.set(bucket, decodeEntries(snapshot.buckets[bucket], fromJS));
+  });
+  return rebuildIndexes(accessors, store.set('_nextKey', snapshot.nextKey));
+}
+
+/**
+ * A storage adapter which keeps snapshots in memory; useful for tests, and for
+ * keeping drafts across views within a single page.
+ * @return {Object} - A storage adapter, with `read`, `write` and `remove` methods
+ * which take a snapshot name and return promises.
+ */
+export function memoryAdapter() {
+  let saved = {};
+  return {
+    read: name => Promise.resolve(saved.hasOwnProperty(name) ? saved[name] : undefined),
+    write: (name, data) => {
+      saved[name] = data;
+      return Promise.resolve();
+    },
+    remove: name => {
+      delete saved[name];
+      return Promise.resolve();
+    }
+  };
+}
+
+/**
+ * A storage adapter backed by an object implementing the `localStorage`
+ * interface (`getItem`, `setItem` and `removeItem`).
+ * @param  {Storage} storage - Usually `window.localStorage` or `window.sessionStorage`.
+ * @param  {String} [prefix] - Prepended to snapshot names to form storage keys.
+ * @return {Object} - A storage adapter.
+ */
+export function localStorageAdapter(storage, prefix = 'dohmane:') {
+  return {
+    read: name => Promise.resolve().then(() => {
+      const data = storage.getItem(prefix + name);
+      return data === null ? undefined : data;
+    }),
+    write: (name, data) => Promise.resolve().then(() => storage.setItem(prefix + name, data)),
+    remove: name => Promise.resolve().then(() => storage.removeItem(prefix + name))
+  };
+}
+
+/**
+ * A storage adapter which keeps each snapshot in a JSON file, for use under Node.
+ * The `fs` module is passed in so that browser bundles don't depend on it.
+ * @param  {Object} fs - Node's `fs` module.
+ * @param  {String} directory - The directory to keep snapshot files in.
+ * @return {Object} - A storage adapter.
+ */
+export function fileSystemAdapter(fs, directory) {
+  const fileFor = name => `${directory}/${name}.json`;
+  return {
+    read: name => new Promise((resolve, reject) => {
+      fs.readFile(fileFor(name), 'utf8', (err, data) => {
+        if (err) {
+          return err.code === 'ENOENT' ? resolve(undefined) : reject(err);
+        }
+        return resolve(data);
+      });
+    }),
+    write: (name, data) => new Promise((resolve, reject) => {
+      fs.writeFile(fileFor(name), data, 'utf8', err => (err ? reject(err) : resolve()));
+    }),
+    remove: name => new Promise((resolve, reject) => {
+      fs.unlink(fileFor(name), err => (err && err.code !== 'ENOENT' ? reject(err) : resolve()));
+    })
+  };
+}
+
+/**
+ * Serialize a store and write it through a storage adapter.
+ * @param  {Object} adapter - The storage adapter.
+ * @param  {String} name - The name to save the snapshot under.
+ * @param  {Immutable.Map} store - The object store to save.
+ * @return {Promise} - Resolves once the snapshot is written.
+ */
+export function saveStore(adapter, name, store) {
+  return adapter.write(name, JSON.stringify(serializeStore(store)));
+}
+
+/**
+ * Read a snapshot through a storage adapter and rebuild the store.
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @param  {Object} adapter - The storage adapter.
+ * @param  {String} name - The name the snapshot was saved under.
+ * @return {Promise<Immutable.Map|undefined>} - The store, or `undefined` if
+ * nothing was saved under `name`.
+ */
+export function loadStore(accessors, adapter, name) {
+  return adapter.read(name).then(data => (data === undefined ? undefined : deserializeStore(accessors, JSON.parse(data))));
+}
@@ -0,0 +1,23 @@
+/**
+ * Constants naming what happens to the children of a record when it is
+ * deleted, per inverse foreign key relationship. Set these in the `onDelete`
+ * section of the parent's typedef.
+ * @type {Object}
+ */
+export const ON_DELETE = {
+  /**
+   * Delete the children along with the parent. This is the default.
+   * @type {String}
+   */
+  CASCADE: 'cascade',
+  /**
+   * Clear the children's foreign key, leaving them in place.
+   * @type {String}
+   */
+  SET_NULL: 'setNull',
+  /**
+   * Refuse to delete the parent while it has children which aren't deleted.
+   * @type {String}
+   */
+  RESTRICT: 'restrict'
+};
@@ -0,0 +1,283 @@
+import { is, OrderedMap, Set } from 'immutable';
+
+/**
+ * Comparison operators available to `Query#where`.
+ * @type {Object<String, Function>}
+ */
+export const QUERY_OPERATORS = {
+  '=': (value, operand) => is(value, operand),
+  '!=': (value, operand) => !is(value, operand),
+  '<': (value, operand) => value < operand,
+  '<=': (value, operand) => value <= operand,
+  '>': (value, operand) => value > operand,
+  '>=': (value, operand) => value >= operand,
+  in: (value, operand) => operand.some(option => is(option, value))
+};
+
+/**
+ * Normalize a field path given as a property name or a keypath.
+ * @param  {String|Array<String>} path - The field path.
+ * @return {Array<String>} - A keypath.
+ */
+function toKeyPath(path) {
+  return Array.isArray(path) ? path : [path];
+}
+
+/**
+ * Wrap a function so it's only called once, and its result reused; relation
+ * predicates run their subquery once, however many records they test.
+ * @param  {Function} fn - The function to wrap.
+ * @return {Function} - The wrapped function.
+ */
+function once(fn) {
+  let called = false;
+  let result;
+  return () => {
+    if (!called) {
+      result = fn();
+      called = true;
+    }
+    return result;
+  };
+}
+
+/**
+ * Compare two field values for sorting; `undefined` and `null` sort last.
+ * @param  {*} a - The first value.
+ * @param  {*} b - The second value.
+ * @return {Number} - Negative, zero or positive, as for `Array#sort`.
+ */
+function compareValues(a, b) {
+  const aMissing = a === undefined || a === null;
+  const bMissing = b === undefined || b === null;
+  if (aMissing || bMissing) {
+    return aMissing - bMissing;
+  }
+  if (a < b) {
+    return -1;
+  }
+  return a > b ? 1 : 0;
+}
+
+/**
+ * The `Query` class builds declarative queries over the records of one entity
+ * type. Get one from `EntityType#query`. Queries are immutable: every builder
+ * method returns a new query, so partial queries can be shared and refined.
+ *
+ *   accessors.User.query(store)
+ *     .where('age', '>=', 18)
+ *     .whereRelated('Account', account => account.where('name', 'Acme'))
+ *     .orderBy('name')
+ *     .limit(10)
+ *     .run();
+ *
+ * Equality predicates on foreign keys and relation predicates narrow the
+ * records to scan by key, using the foreign key indexes when querying the
+ * `current` bucket.
+ */
+export class Query {
+  /**
+   * The `Query` constructor.
+   * @param  {EntityType} entityType - The type to query.
+   * @param  {Immutable.Map} store - The object store to query.
+   * @param  {Object} [spec] - The query built so far.
+   */
+  constructor(entityType, store, spec = {bucket: 'current', states: null, clauses: [], order: [], skip: 0, take: undefined}) {
+    /**
+     * The type being queried.
+     * @type {EntityType}
+     */
+    this.entityType = entityType;
+    /**
+     * The store being queried.
+     * @type {Immutable.Map}
+     */
+    this.store = store;
+    /**
+     * The query built so far.
+     * @type {Object}
+     */
+    this.spec = spec;
+  }
+  /**
+   * Copy this query with some of its spec replaced.
+   * @param  {Object} changes - The spec keys to replace.
+   * @return {Query} - The new query.
+   */
+  refine(changes) {
+    return new Query(this.entityType, this.store, Object.assign({}, this.spec, changes));
+  }
+  /**
+   * Copy this query with another clause. A clause has a `test(record, pk)`
+   * function, and optionally a function returning the primary keys of the only
+   * records which can pass: `keys()` if it holds for any bucket, or `indexed()`
+   * if it reads the foreign key indexes, which follow the current records.
+   * @param  {Object} clause - The clause.
+   * @return {Query} - The new query.
+   */
+  addClause(clause) {
+    return this.refine({clauses: this.spec.clauses.concat([clause])});
+  }
+  /**
+   * Choose which bucket to query: `current` (the default), `initial` or `deleted`.
+   * @param  {String} bucket - The bucket name.
+   * @return {Query} - The new query.
+   */
+  from(bucket) {
+    if (['current', 'initial', 'deleted'].indexOf(bucket) < 0) {
+      throw new Error(`Cannot query unknown bucket ${bucket}`);
+    }
+    return this.refine({bucket});
+  }
+  /**
+   * Only match current records in one of the given states.
+   * @param  {...String} states - Values of `ENTITY_STATE`.
+   * @return {Query} - The new query.
+   */
+  inState(...states) {
+    return this.refine({bucket: 'current', states});
+  }
+  /**
+   * Only match records whose field satisfies a comparison, or which pass a
+   * predicate function.
+   *
+   * @example
+   * query.where('name', 'Acme')  // equality
+   * query.where(['address', 'city'], 'in', ['Paris', 'Rome'])
+   * query.where((record, pk) => record.get('seats') > record.get('used'))
+   * @param  {String|Array<String>|Function} path - The field path, or a predicate.
+   * @param  {String} [op] - One of `QUERY_OPERATORS`; `=` if omitted.
+   * @param  {*} value - The value to compare against.
+   * @return {Query} - The new query.
+   */
+  where(path, op, value) {
+    if (typeof path === 'function') {
+      return this.addClause({test: path});
+    }
+    if (arguments.length === 2) {
+      value = op;
+      op = '=';
+    }
+    const compare = QUERY_OPERATORS[op];
+    if (!compare) {
+      throw new Error(`Unknown query operator ${op}`);
+    }
+    const keyPath = toKeyPath(path);
+    const relName = op === '=' && Object.keys(this.entityType.foreignKeys)
+      .filter(name => !this.entityType.polymorphic[name])
+      .filter(name => JSON.stringify(this.entityType.foreignKeys[name]) === JSON.stringify(keyPath))[0];
+    return this.addClause({
+      test: record => compare(record.getIn(keyPath), value),
+      indexed: relName ? () => this.entityType.indexes.get(this.store, relName, value) : undefined
+    });
+  }
+  /**
+   * Only match records with a related record which matches a query. The
+   * relation can be a foreign key, an inverse foreign key or a many-to-many
+   * relationship.
+   *
+   * @example
+   * // Users whose account is called Acme
+   * accessors.User.query(store).whereRelated('Account', account => account.where('name', 'Acme'))
+   * @param  {String} relName - The name of the related type.
+   * @param  {Function} build - Takes a query for the related type, and returns it refined.
+   * @return {Query} - The new query.
+   */
+  whereRelated(relName, build) {
+    const {entityType, store} = this;
+    if (entityType.polymorphic[relName]) {
+      throw new Error(`Cannot query across the polymorphic relation ${entityType.name}.${relName}`);
+    }
+    const relT = entityType.relatedType(relName);
+    const matches = once(() => build(relT.query(store)).run());
+    const relKeys = once(() => matches().keySeq().toSet());
+    if (entityType.foreignKeys[relName]) {
+      return this.addClause({
+        test: record => relKeys().has(entityType.foreignKey.get(record, relName)),
+        indexed: () => relKeys().flatMap(fk => entityType.indexes.get(store, relName, fk))
+      });
+    }
+    if (entityType.inverseForeignKeys[relName]) {
+      const childRel = entityType.inverseRelations[relName];
+      const keys = once(() => matches()
+        .filter(child => relT.foreignKey.getType(child, childRel) === entityType.name)
+        .map(child => relT.foreignKey.get(child, childRel))
+        .toSet());
+      return this.addClause({
+        test: (record, pk) => keys().has(pk),
+        keys
+      });
+    }
+    if (entityType.manyToMany[relName]) {
+      return this.addClause({
+        test: record => entityType.links.keys(store, relName, record).some(relKey => relKeys().has(relKey))
+      });
+    }
+    throw new Error(`${entityType.name} has no relation to ${relName}`);
+  }
+  /**
+   * Sort the results by a field. Call repeatedly to break ties by further fields.
+   * @param  {String|Array<String>} path - The field path.
+   * @param  {String} [direction] - `asc` (the default) or `desc`.
+   * @return {Query} - The new query.
+   */
+  orderBy(path, direction = 'asc') {
+    return this.refine({order: this.spec.order.concat([{keyPath: toKeyPath(path), sign: direction === 'desc' ? -1 : 1}])});
+  }
+  /**
+   * Skip the first results.
+   * @param  {Number} count - The number of results to skip.
+   * @return {Query} - The new query.
+   */
+  offset(count) {
+    return this.refine({skip: count});
+  }
+  /**
+   * Return at most this many results.
+   * @param  {Number} count - The maximum number of results.
+   * @return {Query} - The new query.
+   */
+  limit(count) {
+    return this.refine({take: count});
+  }
+  /**
+   * Get the records this query starts from. The first clause which can list
+   * the keys of the only records able to pass narrows them down; clauses
+   * answered from the foreign key indexes only count in the `current` bucket.
+   * @return {Immutable.Map} - The candidate records, keyed by primary key.
+   */
+  candidates() {
+    const bucket = this.entityType[this.spec.bucket];
+    const useIndexes = this.spec.bucket === 'current';
+    const clause = this.spec.clauses.filter(c => c.keys || (useIndexes && c.indexed))[0];
+    if (!clause) {
+      return bucket.getAll(this.store);
+    }
+    const keys = clause.keys ? clause.keys() : clause.indexed();
+    return Set(keys).reduce((records, pk) => {
+      const record = bucket.get(this.store, pk);
+      return record ? records.set(pk, record) : records;
+    }, OrderedMap());
+  }
+  /**
+   * Run the query.
+   * @return {Immutable.OrderedMap} - The matching records, keyed by primary key, in order.
+   */
+  run() {
+    const {states, clauses, order, skip, take} = this.spec;
+    let results = this.candidates().filter((record, pk) => (
+      (!states || states.indexOf(this.entityType.state(this.store, record)) >= 0) &&
+      clauses.every(clause => clause.test(record, pk))
+    ));
+    if (order.length) {
+      results = results.sort((a, b) => order.reduce(
+        (result, {keyPath, sign}) => result || sign * compareValues(a.getIn(keyPath), b.getIn(keyPath)),
+        0
+      ));
+    } else {
+      results = results.toOrderedMap();
+    }
+    results = results.skip(skip);
+    return take === undefined ? results : results.take(take);
+  }
+}
@@ -0,0 +1,180 @@
+import { newStore } from './store';
+import { applyDefaults } from './defaults';
+
+/**
+ * The prefix of every action type handled by `createReducer`.
+ * @type {String}
+ */
+export const ACTION_PREFIX = 'dohmane';
+
+/**
+ * Build the action type for an accessor method, e.g. `dohmane/Account/current/set`.
+ * @param  {String} type - The entity type name.
+ * @param  {String} bucket - The sub-accessor, e.g. `current`.
+ * @param  {String} method - The accessor method, e.g. `set`.
+ * @return {String} - The action type.
+ */
+export function actionType(type, bucket, method) {
+  return `${ACTION_PREFIX}/${type}/${bucket}/${method}`;
+}
+
+/**
+ * Turn a record into a POJO, so actions stay serializable.
+ * @param  {Immutable.Map|Object} record - The record.
+ * @return {Object} - The plain record.
+ */
+function toPlain(record) {
+  return record && typeof record.toJS === 'function' ? record.toJS() : record;
+}
+
+/**
+ * Throw unless a record is in a bucket.
+ * @param  {EntityType} entityType - The type of the record.
+ * @param  {Immutable.Map} store - The current object store.
+ * @param  {String} bucket - `current` or `deleted`.
+ * @param  {String|Number} pk - The primary key of the record.
+ * @param  {String} method - The accessor method, for the error message.
+ */
+function requireRecord(entityType, store, bucket, pk, method) {
+  if (!entityType[bucket].get(store, pk)) {
+    throw new Error(`Cannot ${bucket}.${method} ${entityType.name} ${pk}, it is not in the ${bucket} bucket`);
+  }
+}
+
+/**
+ * Apply the payload of each kind of action to the store, by sub-accessor and method.
+ * @type {Object<String, Object<String, Function>>}
+ */
+const HANDLERS = {
+  initial: {
+    load: (entityType, store, {records, strategy}) => entityType.initial.load(store, records, strategy ? {strategy} : {})
+  },
+  current: {
+    create: (entityType, store, {record, nextKey}) => {
+      if (nextKey !== undefined) {
+        store = store.set('_nextKey', Math.min(store.get('_nextKey'), nextKey));
+      }
+      return entityType.current.create(store, record).store;
+    },
+    set: (entityType, store, {pk, record}) => {
+      requireRecord(entityType, store, 'current', pk, 'set');
+      return entityType.current.set(store, pk, entityType.raise(record));
+    },
+    delete: (entityType, store, {pk}) => {
+      requireRecord(entityType, store, 'current', pk, 'delete');
+      return entityType.current.delete(store, pk);
+    },
+    accept: (entityType, store, {pk, record}) => {
+      requireRecord(entityType, store, 'current', pk, 'accept');
+      return entityType.current.accept(store, pk, record);
+    },
+    reject: (entityType, store, {pk}) => {
+      requireRecord(entityType, store, 'current', pk, 'reject');
+      return entityType.current.reject(store, pk);
+    },
+    beginSave: (entityType, store, {pk}) => entityType.current.beginSave(store, pk).store,
+    failSave: (entityType, store, {pk}) => entityType.current.failSave(store, pk)
+  },
+  deleted: {
+    accept: (entityType, store, {pk}) => {
+      requireRecord(entityType, store, 'deleted', pk, 'accept');
+      return entityType.deleted.accept(store, pk);
+    },
+    reject: (entityType, store, {pk}) => {
+      requireRecord(entityType, store, 'deleted', pk, 'reject');
+      return entityType.deleted.reject(store, pk);
+    }
+  }
+};
+
+/**
+ * Build Redux action creators for every type, mirroring the accessor methods
+ * handled by `createReducer`. Records in payloads are converted to POJOs, so
+ * actions can be logged and replayed.
+ *
+ *   const actions = entityTypeActions(accessors);
+ *   dispatch(actions.Account.current.set(1, record));
+ *
+ * `current.create` takes the store as its first argument, and picks the new
+ * record's primary key with the type's `keyGenerator` and fills in its
+ * `defaults` up front, so the reducer stays pure and the key can be read back
+ * from `action.payload.pk`.
+ *
+ * Each action creator has a `type` property holding its action type.
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @return {Object<String, Object>} - Action creators, keyed by type name.
+ */
+export function entityTypeActions(accessors) {
+  let actions = {};
+  Object.keys(accessors).forEach(name => {
+    const entityType = accessors[name];
+    const creator = (bucket, method, payload) => {
+      const type = actionType(name, bucket, method);
+      const create = (...args) => ({type, payload: payload(...args)});
+      create.type = type;
+      return create;
+    };
+    actions[name] = {
+      initial: {
+        load: creator('initial', 'load', (records, {strategy} = {}) => {
+          if (typeof strategy === 'function') {
+            throw new Error('Cannot put a merge strategy function in an action; use a MERGE_STRATEGY value');
+          }
+          return {records: (records.toArray ? records.toArray() : records).map(toPlain), strategy};
+        })
+      },
+      current: {
+        create: creator('current', 'create', (store, record) => {
+          let raised = applyDefaults(entityType, store, entityType.raise(record || {}));
+          let pk = entityType.keyFor(raised);
+          let nextKey;
+          if (!pk) {
+            const generated = entityType.keyGenerator(store, entityType);
+            pk = generated.key;
+            nextKey = generated.store.get('_nextKey');
+            raised = entityType.withKey(raised, pk);
+          }
+          return {pk, record: toPlain(raised), nextKey};
+        }),
+        set: creator('current', 'set', (pk, record) => ({pk, record: toPlain(record)})),
+        delete: creator('current', 'delete', pk => ({pk})),
+        accept: creator('current', 'accept', (pk, record) => ({pk, record: toPlain(record)})),
+        reject: creator('current', 'reject', pk => ({pk})),
+        beginSave: creator('current', 'beginSave', pk => ({pk})),
+        failSave: creator('current', 'failSave', pk => ({pk}))
+      },
+      deleted: {
+        accept: creator('deleted', 'accept', pk => ({pk})),
+        reject: creator('deleted', 'reject', pk => ({pk}))
+      }
+    };
+  });
+  return actions;
+}
+
+/**
+ * Build a Redux reducer applying the actions made by `entityTypeActions` to a
+ * store. Actions without the `dohmane/` prefix are ignored, so the reducer can
+ * be combined with others.
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @return {Function} - The reducer; takes the store and an action, and returns the new store.
+ * @throws {Error} - If an action names an unknown type or method, or a record
+ * which isn't in the store.
+ */
+export function createReducer(accessors) {
+  return (store = newStore(), action) => {
+    if (typeof action.type !== 'string' || action.type.indexOf(`${ACTION_PREFIX}/`) !== 0) {
+      return store;
+    }
+    const [, name, bucket, method] = action.type.split('/');
+    const entityType = accessors[name];
+    if (!entityType) {
+      throw new Error(`Unknown entity type ${name} in action ${action.type}`);
+    }
+    const handler = HANDLERS[bucket] && HANDLERS[bucket][method];
+    if (!handler) {
+      throw new Error(`Unknown method ${bucket}.${method} in action ${action.type}`);
+    }
+    return handler(entityType, store, action.payload);
+  };
+}
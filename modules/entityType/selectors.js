@@ -0,0 +1,132 @@
+import { is, Map } from 'immutable';
+
+/**
+ * Build a memoized selector from input selectors and a function combining their
+ * results. The combining function is only called again when an input result
+ * changes identity; otherwise the previous result is returned as is, so it can
+ * be compared with `===`.
+ *
+ * Input selectors are called with the store and any further arguments given to
+ * the selector. Selectors built here can be the inputs of other selectors.
+ *
+ * @example
+ * const getBigSpenders = createSelector(
+ *   [selectors.Account.current.getAllChanged],
+ *   changed => changed.filter(account => account.get('budget') > 1000)
+ * );
+ * @param  {Array<Function>} inputs - Selectors, taking the store and returning a value.
+ * @param  {Function} combine - Takes the input results, in order, and returns the result.
+ * @return {Function} - The selector; takes the store and returns the result.
+ */
+export function createSelector(inputs, combine) {
+  let lastInputs;
+  let lastResult;
+  return (store, ...args) => {
+    const values = inputs.map(input => input(store, ...args));
+    if (!lastInputs || values.some((value, i) => value !== lastInputs[i])) {
+      lastResult = combine(...values);
+      lastInputs = values;
+    }
+    return lastResult;
+  };
+}
+
+/**
+ * Build a selector returning the sub-map of a store at a keypath, or an empty
+ * map. Since stores are immutable, the sub-map keeps its identity until a
+ * record under it changes.
+ * @param  {Array<String>} path - The keypath, e.g. `['current', 'Account']`.
+ * @return {Function} - The selector.
+ */
+export function selectIn(path) {
+  return store => store.getIn(path) || Map();
+}
+
+/**
+ * Build memoized selectors for every type, mirroring the read accessors of
+ * `EntityType`. Each selector only depends on the buckets of its own type,
+ * so edits to other types, or to other buckets, don't recompute it.
+ *
+ *   const selectors = entityTypeSelectors(accessors);
+ *   selectors.Account.current.getAllChanged(store);
+ *   selectors.Account.children(store, 'User', 1);
+ *
+ * The selectors hold their caches, so build them once per set of accessors
+ * rather than on every call.
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @return {Object<String, Object>} - Selectors, keyed by type name.
+ */
+export function entityTypeSelectors(accessors) {
+  let selectors = {};
+  Object.keys(accessors).forEach(name => {
+    const getCurrent = selectIn(['current', name]);
+    const getInitial = selectIn(['initial', name]);
+    const getDeleted = selectIn(['deleted', name]);
+    selectors[name] = {
+      current: {
+        getAll: getCurrent,
+        getAllNew: createSelector(
+          [getCurrent, getInitial],
+          (current, initial) => current.filter((record, pk) => !initial.has(pk))
+        ),
+        getAllChanged: createSelector(
+          [getCurrent, getInitial, getDeleted],
+          (current, initial, deleted) => current.filter((record, pk) => (
+            initial.has(pk) &&
+            !deleted.has(pk) &&
+            !is(initial.get(pk), record)
+          ))
+        )
+      },
+      initial: {
+        getAll: getInitial
+      },
+      deleted: {
+        getAll: getDeleted
+      }
+    };
+  });
+
+  Object.keys(accessors).forEach(name => {
+    let byRelation = {};
+    const entityType = accessors[name];
+    Object.keys(entityType.inverseForeignKeys).forEach(relName => {
+      const relType = entityType.relationTypes[relName];
+      const getIndex = selectIn(['indexes', relType, entityType.childIndex(relName)]);
+      // each parent's children are kept until its index entry or one of
+      // those children changes, so editing a child only rebuilds its parent's
+      let byParent = {};
+      byRelation[relName] = (store, pk) => {
+        const keys = getIndex(store).get(pk);
+        if (!keys) {
+          delete byParent[pk];
+          return Map();
+        }
+        const current = selectors[relType].current.getAll(store);
+        const records = keys.toList().map(relPK => current.get(relPK));
+        const last = byParent[pk];
+        if (last && last.keys === keys && records.every((record, i) => record === last.records.get(i))) {
+          return last.children;
+        }
+        const children = Map(keys.toList().zip(records));
+        byParent[pk] = {keys, records, children};
+        return children;
+      };
+    });
+    /**
+     * Get the current children of a record along an inverse foreign key, as
+     * `EntityType#children` does, but by primary key.
+     * @param  {Immutable.Map} store - The current object store.
+     * @param  {String} relName - The name of the inverse foreign key relation, usually the child type.
+     * @param  {String|Number} pk - The primary key of the parent record.
+     * @return {Immutable.Map} - The children, keyed by primary key.
+     */
+    selectors[name].children = (store, relName, pk) => {
+      if (!byRelation[relName]) {
+        throw new Error(`${name} has no children of type ${relName}`);
+      }
+      return byRelation[relName](store, pk);
+    };
+  });
+  return selectors;
+}
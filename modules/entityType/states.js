@@ -21,10 +21,21 @@ export const ENTITY_STATE = {
    * @type {String}
    */
   DELETED: 'DELETED',
+  /**
+   * Records are `SAVING` while an upload started with `current.beginSave` is in
+   * flight. They go back to `NEW` or `MODIFIED` if the save fails.
+   * @type {String}
+   */
+  SAVING: 'SAVING',
   /**
    * Records are `NEW` if they appear only in the store's `current` bucket,
    * with no accepted value.
    * @type {String}
    */
-  NEW: 'NEW'
+  NEW: 'NEW',
+  /**
+   * Keys are `UNKNOWN` if the store holds no record for them, in any bucket.
+   * @type {String}
+   */
+  UNKNOWN: 'UNKNOWN'
 };
@@ -9,6 +9,10 @@ export function newStore() {
     initial: {},
     current: {},
     deleted: {},
+    indexes: {},
+    conflicts: {},
+    cascades: {},
+    saving: {},
     _nextKey: -1
   });
 }
@@ -0,0 +1,75 @@
+import { List, Map } from 'immutable';
+import { createSelector, selectIn } from './selectors';
+import { ENTITY_STATE } from './states';
+
+/**
+ * The states of records with changes still to be sent.
+ * @type {Array<String>}
+ */
+const PENDING_STATES = [ENTITY_STATE.NEW, ENTITY_STATE.MODIFIED, ENTITY_STATE.DELETED, ENTITY_STATE.SAVING];
+
+/**
+ * Work out the state of every record of a type from its buckets, as
+ * `EntityType#state` does record by record.
+ * @param  {Immutable.Map} initial - The type's `initial` bucket.
+ * @param  {Immutable.Map} current - The type's `current` bucket.
+ * @param  {Immutable.Map} deleted - The type's `deleted` bucket.
+ * @param  {Immutable.Map} saving - The type's `saving` bucket.
+ * @return {Immutable.Map} - Every `ENTITY_STATE` but `UNKNOWN`, mapped to the
+ * list of primary keys in that state.
+ */
+function keysByState(initial, current, deleted, saving) {
+  let keys = Map(PENDING_STATES.concat(ENTITY_STATE.UNCHANGED).map(state => [state, List()]));
+  const add = (state, pk) => {
+    keys = keys.update(state, list => list.push(pk));
+  };
+  current.forEach((record, pk) => {
+    if (deleted.has(pk)) {
+      return;
+    }
+    if (saving.has(pk)) {
+      add(ENTITY_STATE.SAVING, pk);
+    } else if (!initial.has(pk)) {
+      add(ENTITY_STATE.NEW, pk);
+    } else {
+      add(initial.get(pk).equals(record) ? ENTITY_STATE.UNCHANGED : ENTITY_STATE.MODIFIED, pk);
+    }
+  });
+  deleted.keySeq().forEach(pk => add(ENTITY_STATE.DELETED, pk));
+  return keys;
+}
+
+/**
+ * Build memoized selectors summing up the state of a whole store, e.g. to drive
+ * "unsaved changes" banners. The records of a type are only looked at again
+ * when one of its buckets changes, so the selectors are cheap enough to call on
+ * every render; as with `entityTypeSelectors`, build them once per set of
+ * accessors.
+ *
+ *   const summary = summarySelectors(accessors);
+ *   summary.isDirty(store)  // true
+ *   summary.getPendingTypes(store)  // List ['User']
+ *   summary.getCounts(store).getIn(['User', ENTITY_STATE.NEW])  // 2
+ *
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @return {Object<String, Function>} - The selectors, each taking the store:
+ * - getKeys: Type names mapped to states mapped to lists of primary keys.
+ * - getCounts: Type names mapped to states mapped to the number of records.
+ * - getPendingTypes: The names of the types with new, modified, deleted or saving records.
+ * - isDirty: Whether any record has changes still to be sent.
+ */
+export function summarySelectors(accessors) {
+  const types = Object.keys(accessors);
+  const byType = types.map(type => createSelector(
+    ['initial', 'current', 'deleted', 'saving'].map(bucket => selectIn([bucket, type])),
+    keysByState
+  ));
+  const getKeys = createSelector(byType, (...keys) => Map(types.map((type, i) => [type, keys[i]])));
+  const getCounts = createSelector([getKeys], keys => keys.map(states => states.map(list => list.size)));
+  const getPendingTypes = createSelector([getCounts], counts => counts
+    .filter(states => PENDING_STATES.some(state => states.get(state) > 0))
+    .keySeq()
+    .toList());
+  const isDirty = createSelector([getPendingTypes], pending => pending.size > 0);
+  return {getKeys, getCounts, getPendingTypes, isDirty};
+}
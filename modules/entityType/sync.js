@@ -0,0 +1,299 @@
+/**
+ * Constants naming the kinds of operation in a sync plan.
+ * @type {Object}
+ */
+export const SYNC_ACTION = {
+  /**
+   * Upload a `NEW` record; the payload is the whole current value.
+   * @type {String}
+   */
+  CREATE: 'create',
+  /**
+   * Upload a `MODIFIED` record; the payload holds only the changed properties.
+   * @type {String}
+   */
+  UPDATE: 'update',
+  /**
+   * Delete a `DELETED` record; the payload is the deleted value.
+   * @type {String}
+   */
+  DELETE: 'delete'
+};
+
+/**
+ * Build the identifier used to refer to an operation while planning.
+ * @param  {String} action - One of `SYNC_ACTION`.
+ * @param  {String} type - The entity type name.
+ * @param  {String|Number} pk - The primary key of the record.
+ * @return {String} - The identifier.
+ */
+function operationId(action, type, pk) {
+  return `${action}:${type}:${pk}`;
+}
+
+/**
+ * Find a dependency cycle amongst operations which could not be scheduled.
+ * @param  {Object<String, Object>} nodes - Operation identifiers mapped to plan nodes.
+ * @param  {Array<String>} remaining - Identifiers of the unscheduled operations.
+ * @return {Array<Object>} - The operations making up the cycle, in dependency order.
+ */
+function findCycle(nodes, remaining) {
+  const unscheduled = dep => remaining.indexOf(dep) >= 0;
+  let path = [];
+  let id = remaining[0];
+  while (path.indexOf(id) < 0) {
+    path.push(id);
+    id = nodes[id].deps.filter(unscheduled)[0];
+  }
+  return path.slice(path.indexOf(id)).map(cycleId => nodes[cycleId].operation);
+}
+
+/**
+ * Work out which pending changes need to be sent to a remote service, and in
+ * what order.
+ *
+ * Every `NEW`, `MODIFIED` and `DELETED` record of every type becomes an operation
+ * of the form `{action, type, pk, payload}`, where `action` is one of `SYNC_ACTION`.
+ * Operations are ordered along the `foreignKeys` relations in the typedefs, and
+ * the `manyToMany` relations which hold lists of keys:
+ * - A record is created or updated only after any new parent it points to is created.
+ * - A record is deleted only after its deleted children are deleted, and after
+ *   children moving to another parent are updated.
+ *
+ * Operations are grouped into batches; no operation depends on another in the
+ * same batch, so each batch can be sent as a unit once the previous batches
+ * have been accepted.
+ *
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @param  {Immutable.Map} store - The current object store.
+ * @return {Array<Array<Object>>} - The batches of operations, in order.
+ * @throws {Error} - If the pending records depend on each other in a cycle. The
+ * error's `cycle` property lists the operations involved.
+ */
+export function planSync(accessors, store) {
+  let nodes = {};
+  let order = [];
+  const add = (action, type, pk, payload) => {
+    const id = operationId(action, type, pk);
+    nodes[id] = {operation: {action, type, pk, payload}, deps: []};
+    order.push(id);
+  };
+
+  Object.keys(accessors).forEach(type => {
+    const entityType = accessors[type];
+    entityType.current.getAllNew(store).forEach((record, pk) => {
+      add(SYNC_ACTION.CREATE, type, pk, record);
+    });
+    entityType.current.getAllChanged(store).forEach((record, pk) => {
+      add(SYNC_ACTION.UPDATE, type, pk, entityType.current.getChangedProperties(store, pk));
+    });
+    entityType.deleted.getAll(store).forEach((record, pk) => {
+      add(SYNC_ACTION.DELETE, type, pk, record);
+    });
+  });
+
+  order.forEach(id => {
+    const {action, type, pk} = nodes[id].operation;
+    const entityType = accessors[type];
+    const current = entityType.current.get(store, pk);
+    const initial = entityType.initial.get(store, pk);
+    const currentKeys = entityType.indexes.indexedKeys(current);
+    if (action !== SYNC_ACTION.DELETE) {
+      currentKeys.forEach((fks, relName) => {
+        fks.forEach(fk => {
+          const parentCreate = operationId(SYNC_ACTION.CREATE, entityType.indexes.typeFor(relName).name, fk);
+          if (nodes[parentCreate]) {
+            nodes[id].deps.push(parentCreate);
+          }
+        });
+      });
+    }
+    if (initial) {
+      entityType.indexes.indexedKeys(initial).forEach((fks, relName) => {
+        fks.forEach(fk => {
+          const parentDelete = nodes[operationId(SYNC_ACTION.DELETE, entityType.indexes.typeFor(relName).name, fk)];
+          if (parentDelete && (action === SYNC_ACTION.DELETE || !currentKeys.has(relName) || !currentKeys.get(relName).includes(fk))) {
+            parentDelete.deps.push(id);
+          }
+        });
+      });
+    }
+  });
+
+  let batches = [];
+  let done = {};
+  const isDone = id => !!done[id];
+  const isReady = id => nodes[id].deps.every(isDone);
+  const isPending = id => !done[id];
+  const markDone = id => {
+    done[id] = true;
+  };
+  const operationOf = id => nodes[id].operation;
+  const describeOperation = op => `${op.type} ${op.pk}`;
+  let remaining = order;
+  while (remaining.length) {
+    const ready = remaining.filter(isReady);
+    if (!ready.length) {
+      const cycle = findCycle(nodes, remaining);
+      const error = new Error(
+        `Cannot plan sync, records depend on each other: ${cycle.map(describeOperation).join(' -> ')}`
+      );
+      error.cycle = cycle;
+      throw error;
+    }
+    ready.forEach(markDone);
+    batches.push(ready.map(operationOf));
+    remaining = remaining.filter(isPending);
+  }
+  return batches;
+}
+
+/**
+ * Wait before retrying a failed operation.
+ * @param  {Number} ms - The delay in milliseconds.
+ * @return {Promise} - Resolves after the delay.
+ */
+function defaultWait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Send every pending change to a remote service through a transport, and
+ * record the results in the store.
+ *
+ * Operations are planned with `planSync`, and sent batch by batch; the
+ * operations in a batch are sent together. Each operation is rebuilt from the
+ * store just before it is sent, so foreign keys pointing at records created in
+ * an earlier batch carry their server-assigned keys. Creates and updates are
+ * marked with `current.beginSave`, so edits made while they're in flight
+ * survive. Then:
+ * - Successful creates and updates are accepted with the value the transport
+ *   resolves to, or the value sent if it resolves to nothing. A changed primary
+ *   key cascades to children as usual.
+ * - Successful deletes are accepted.
+ * - Failed operations are retried with exponential backoff, unless the error
+ *   has `retryable` set to `false`. If they still fail, creates and updates go
+ *   back to their previous state with `current.failSave`, and deletes stay
+ *   pending. Errors with `retryable` set to `false` are refusals: the change is
+ *   rejected instead, with `current.reject` or `deleted.reject`.
+ * - Errors thrown while preparing an operation or recording its result count as
+ *   failures too: they are reported, and the record's save is given up on.
+ * - Creates and updates of records deleted or rejected while in flight aren't
+ *   accepted, so the local change stays pending; they are reported as failed.
+ * - Once a batch has failures, later batches are skipped, since they may depend
+ *   on the failed operations.
+ *
+ * The store is read and written through `holder`, typically a `StoreContainer`,
+ * so that the application can keep editing while the sync runs.
+ *
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @param  {Object} holder - Holds the store, with `getStore()` and `setStore(store)` methods.
+ * @param  {Object} transport - Sends operations; its `send({action, type, pk,
+ * payload})` method returns a promise of the server's value for the record.
+ * Payloads are POJOs: the whole record for creates and deletes, the changed
+ * properties for updates. See `restTransport` and `mockTransport`.
+ * @param  {Number} [options.retries] - How many times to retry a failed operation.
+ * @param  {Number} [options.delay] - The delay before the first retry, in
+ * milliseconds; it doubles with each retry.
+ * @param  {Function} [options.wait] - Takes a delay and returns a promise resolved
+ * after it; replace it to control time in tests.
+ * @return {Promise} - Resolves to a report, with lists of operations `sent` (each
+ * with the transport's `result`), `failed` (as `{operation, error}`), and
+ * `skipped`. It never rejects because of a single operation.
+ */
+export function syncStore(accessors, holder, transport, {retries = 3, delay = 200, wait = defaultWait} = {}) {
+  const batches = planSync(accessors, holder.getStore());
+  let report = {sent: [], failed: [], skipped: []};
+  let rekeyed = {};
+  const keyFor = (type, pk) => (rekeyed[type] && rekeyed[type].hasOwnProperty(pk) ? rekeyed[type][pk] : pk);
+
+  const send = (operation, attempt = 0) => Promise.resolve().then(() => transport.send(operation)).catch(error => {
+    if (error.retryable === false || attempt >= retries) {
+      throw error;
+    }
+    return wait(delay * Math.pow(2, attempt)).then(() => send(operation, attempt + 1));
+  });
+
+  const run = planned => {
+    const {action, type} = planned;
+    const entityType = accessors[type];
+    const pk = keyFor(type, planned.pk);
+    let operation = {action, type, pk};
+    let saving = false;
+
+    const fail = error => {
+      report.failed.push({operation, error});
+      let store = holder.getStore();
+      if (saving) {
+        store = entityType.current.failSave(store, pk);
+      }
+      try {
+        if (error.retryable === false) {
+          store = action === SYNC_ACTION.DELETE ?
+            entityType.deleted.reject(store, pk) :
+            entityType.current.reject(store, pk);
+        }
+      } catch (rejectError) {
+        // the change can't be undone, so it stays pending
+        report.failed.push({operation, error: rejectError});
+      }
+      try {
+        holder.setStore(store);
+      } catch (storeError) {
+        report.failed.push({operation, error: storeError});
+      }
+    };
+
+    return Promise.resolve().then(() => {
+      let store = holder.getStore();
+      let payload;
+      if (action === SYNC_ACTION.DELETE) {
+        const record = entityType.deleted.get(store, pk);
+        payload = record && record.toJS();
+      } else if (entityType.current.get(store, pk) && !entityType.deleted.get(store, pk) &&
+          !entityType.current.getSaving(store, pk)) {
+        payload = (action === SYNC_ACTION.CREATE ?
+          entityType.current.get(store, pk) :
+          entityType.current.getChangedProperties(store, pk)
+        ).toJS();
+        holder.setStore(entityType.current.beginSave(store, pk).store);
+        saving = true;
+      }
+      if (!payload) {
+        // the change was undone, or is already being sent, since the plan was made
+        report.skipped.push(planned);
+        return undefined;
+      }
+      operation = {action, type, pk, payload};
+
+      return send(operation).then(result => {
+        store = holder.getStore();
+        if (action !== SYNC_ACTION.DELETE &&
+            (entityType.deleted.get(store, pk) || !entityType.current.getSaving(store, pk))) {
+          // accepting would undo what was done to the record in the meantime
+          throw new Error(`${type} ${pk} was deleted or rejected while it was being saved`);
+        }
+        if (action === SYNC_ACTION.DELETE) {
+          holder.setStore(entityType.deleted.accept(store, pk));
+        } else {
+          const value = entityType.raise(result || entityType.current.getSaving(store, pk));
+          const newPK = entityType.keyFor(value);
+          holder.setStore(entityType.current.accept(store, pk, value));
+          if (newPK !== pk) {
+            rekeyed[type] = rekeyed[type] || {};
+            rekeyed[type][pk] = newPK;
+          }
+        }
+        report.sent.push(Object.assign({}, operation, {result}));
+      });
+    }).catch(fail);
+  };
+
+  return batches.reduce((previous, batch) => previous.then(() => {
+    if (report.failed.length) {
+      report.skipped = report.skipped.concat(batch);
+      return undefined;
+    }
+    return Promise.all(batch.map(run));
+  }), Promise.resolve()).then(() => report);
+}
@@ -1,9 +1,28 @@
 /* globals describe, it, beforeEach */
-import { is, Map } from 'immutable';
+import { fromJS, is, Map } from 'immutable';
 import { expect } from 'chai';
 import { newStore } from './store';
 import { entityTypeAccessors } from './accessors';
 import { ENTITY_STATE } from './states';
+import { validateRecord } from './validation';
+import { MERGE_STRATEGY } from './merge';
+import { prefixedKeys, uuidKeys } from './keys';
+import { ON_DELETE } from './policies';
+import { planSync, syncStore } from './sync';
+import { restTransport, mockTransport } from './transports';
+import { exportChanges, applyChanges } from './changes';
+import { newHistory, historyAccessors, undo, redo, canUndo, canRedo, group } from './history';
+import { createSelector, entityTypeSelectors } from './selectors';
+import { StoreContainer } from './container';
+import { entityTypeActions, createReducer } from './redux';
+import { loadNormalized } from './normalize';
+import { transaction } from './transaction';
+import { createChild } from './defaults';
+import { summarySelectors } from './summary';
+import { checkIntegrity, assertIntegrity, INTEGRITY_PROBLEM } from './integrity';
+import { serializeStore, deserializeStore, memoryAdapter, saveStore, loadStore } from './persistence';
+
+let summarizePlan = batches => batches.map(batch => batch.map(op => `${op.action} ${op.type} ${op.pk}`));
 
 describe('modules/newStore', function() {
 
@@ -14,6 +33,10 @@ describe('modules/newStore', function() {
         initial: {},
         current: {},
         deleted: {},
+        indexes: {},
+        conflicts: {},
+        cascades: {},
+        saving: {},
         _nextKey: -1
       });
     });
@@ -129,6 +152,41 @@ describe('modules/newStore', function() {
             Map().set(immutableAccounts[0].get('id'), immutableAccounts[0])
           )).to.be.true;
         });
+        it('rebases local edits onto reloaded records', function() {
+          let store = this.accessors.AdCampaign.initial.load(this.store, [{id: 2, name: 'camp', status: 'on', budget: 1}]);
+          let edited = this.accessors.AdCampaign.current.get(store, 2).set('name', 'local').set('budget', 2);
+          store = this.accessors.AdCampaign.current.set(store, 2, edited);
+          store = this.accessors.AdCampaign.initial.load(store, [{id: 2, name: 'camp', status: 'off', budget: 3}]);
+          expect(this.accessors.AdCampaign.current.get(store, 2).toJS()).to.deep.equal({
+            id: 2, name: 'local', status: 'off', budget: 2
+          });
+          expect(this.accessors.AdCampaign.current.getConflicts(store, 2).toJS()).to.deep.equal({
+            budget: {base: 1, local: 2, remote: 3}
+          });
+          store = this.accessors.AdCampaign.current.resolveConflict(store, 2, 'budget', 3);
+          expect(this.accessors.AdCampaign.current.getConflicts(store, 2)).to.equal(Map());
+          expect(this.accessors.AdCampaign.current.get(store, 2).get('budget')).to.equal(3);
+        });
+        it('settles conflicts with the given strategy', function() {
+          let store = this.accessors.AdCampaign.initial.load(this.store, [{id: 2, budget: 1}]);
+          store = this.accessors.AdCampaign.current.set(store, 2, Map({id: 2, budget: 2}));
+          let serverWins = this.accessors.AdCampaign.initial.load(store, [{id: 2, budget: 3}], {
+            strategy: MERGE_STRATEGY.SERVER_WINS
+          });
+          expect(this.accessors.AdCampaign.current.get(serverWins, 2).get('budget')).to.equal(3);
+          expect(this.accessors.AdCampaign.current.getConflicts(serverWins, 2)).to.equal(Map());
+          let summed = this.accessors.AdCampaign.initial.load(store, [{id: 2, budget: 3}], {
+            strategy: (propKey, conflict) => conflict.get('local') + conflict.get('remote')
+          });
+          expect(this.accessors.AdCampaign.current.get(summed, 2).get('budget')).to.equal(5);
+        });
+        it('keeps local deletes when reloading', function() {
+          let store = this.accessors.AdAccount.initial.load(this.store, accounts);
+          store = this.accessors.AdAccount.current.delete(store, 1);
+          store = this.accessors.AdAccount.initial.load(store, [{id: 1, name: 'renamed'}]);
+          expect(this.accessors.AdAccount.deleted.get(store, 1)).to.exist;
+          expect(this.accessors.AdAccount.initial.get(store, 1).get('name')).to.equal('renamed');
+        });
       });
     });
 
@@ -500,5 +558,1957 @@ describe('modules/newStore', function() {
         expect(this.accessors.AdAccount.state(store, record)).to.equal(ENTITY_STATE.NEW);
       });
     });
+    describe('#indexes', function() {
+      it('indexes current records by foreign key', function() {
+        let store = this.accessors.AdAccount.initial.load(this.store, accounts);
+        store = this.accessors.AdCampaign.initial.load(store, campaigns);
+        expect(this.accessors.AdCampaign.indexes.get(store, 'AdAccount', 1).toJS())
+          .to.deep.equal([2]);
+        let campaign = this.accessors.AdCampaign.current.get(store, 2);
+        store = this.accessors.AdCampaign.foreignKey.set(store, 'AdAccount', campaign, 3).store;
+        expect(this.accessors.AdCampaign.indexes.get(store, 'AdAccount', 1).size).to.equal(0);
+        expect(this.accessors.AdCampaign.indexes.get(store, 'AdAccount', 3).toJS())
+          .to.deep.equal([2]);
+      });
+      it('drops index entries for records removed from the store', function() {
+        let account = this.accessors.AdAccount.current.create(this.store, accounts[0]);
+        let campaign = this.accessors.AdCampaign.current.create(account.store, campaigns[0]);
+        let store = this.accessors.AdAccount.current.delete(campaign.store, account.pk);
+        expect(this.accessors.AdCampaign.current.getAll(store)).to.equal(Map());
+        expect(this.accessors.AdCampaign.indexes.getAll(store, 'AdAccount')).to.equal(Map());
+      });
+    });
+    describe('#children', function() {
+      it('gets the current records pointing at a record', function() {
+        let store = this.accessors.AdAccount.initial.load(this.store, accounts);
+        store = this.accessors.AdCampaign.initial.load(store, campaigns);
+        let account = this.accessors.AdAccount.current.get(store, 1);
+        let campaign = this.accessors.AdCampaign.current.get(store, 2);
+        expect(is(
+          this.accessors.AdAccount.children(store, 'AdCampaign', account),
+          Map().set(2, campaign)
+        )).to.be.true;
+      });
+    });
+    describe('#parents', function() {
+      it('gets the current record a record points at', function() {
+        let store = this.accessors.AdAccount.initial.load(this.store, accounts);
+        store = this.accessors.AdCampaign.initial.load(store, campaigns);
+        let account = this.accessors.AdAccount.current.get(store, 1);
+        let campaign = this.accessors.AdCampaign.current.get(store, 2);
+        expect(is(
+          this.accessors.AdCampaign.parents(store, 'AdAccount', campaign),
+          Map().set(1, account)
+        )).to.be.true;
+        expect(this.accessors.AdCampaign.parents(store, 'AdAccount', campaign.set('account_id', 9)))
+          .to.equal(Map());
+      });
+    });
+    describe('#planSync', function() {
+      it('creates parents before children, batching independent records', function() {
+        let account = this.accessors.AdAccount.current.create(this.store, {name: 'a'});
+        let other = this.accessors.AdAccount.current.create(account.store, {name: 'b'});
+        let campaign = this.accessors.AdCampaign.current.create(other.store, {account_id: account.pk});
+        let ad = this.accessors.Ad.current.create(campaign.store, {campaign_id: campaign.pk});
+        let batches = planSync(this.accessors, ad.store);
+        expect(summarizePlan(batches)).to.deep.equal([
+          ['create AdAccount -1', 'create AdAccount -2'],
+          ['create AdCampaign -3'],
+          ['create Ad -4']
+        ]);
+        expect(batches[1][0].payload).to.equal(campaign.record);
+      });
+      it('deletes children before parents, and sends only changed properties', function() {
+        let store = this.accessors.AdAccount.initial.load(this.store, accounts.concat([{id: 3, name: 'other'}]));
+        store = this.accessors.AdCampaign.initial.load(store, campaigns.concat([{id: 4, account_id: 1}]));
+        let moved = this.accessors.AdCampaign.current.get(store, 4);
+        store = this.accessors.AdCampaign.current.set(store, 4, moved.set('account_id', 3));
+        store = this.accessors.AdAccount.current.delete(store, 1);
+        let batches = planSync(this.accessors, store);
+        expect(summarizePlan(batches)).to.deep.equal([
+          ['update AdCampaign 4', 'delete AdCampaign 2'],
+          ['delete AdAccount 1']
+        ]);
+        expect(batches[0][0].payload.toJS()).to.deep.equal({account_id: 3});
+      });
+      it('reports dependency cycles', function() {
+        let accessors = entityTypeAccessors({
+          Node: {key: ['id'], foreignKeys: {Node: ['next_id']}, inverseForeignKeys: {Node: ['next_id']}}
+        });
+        let first = accessors.Node.current.create(this.store, {next_id: -2});
+        let second = accessors.Node.current.create(first.store, {next_id: -1});
+        try {
+          planSync(accessors, second.store);
+          throw new Error('expected planSync to throw');
+        } catch (e) {
+          expect(e.message).to.match(/depend on each other/);
+          expect(e.cycle.map(op => op.pk)).to.deep.equal([-1, -2]);
+        }
+      });
+    });
+    describe('#changes', function() {
+      beforeEach(function() {
+        this.store = this.accessors.AdAccount.initial.load(this.store, accounts.concat([{id: 3, name: 'gone'}]));
+        this.store = this.accessors.AdCampaign.initial.load(this.store, campaigns);
+      });
+      it('exports pending changes as plain JSON', function() {
+        let account = this.accessors.AdAccount.current.create(this.store, {name: 'new'});
+        let campaign = this.accessors.AdCampaign.current.get(account.store, 2);
+        let store = this.accessors.AdCampaign.current.set(account.store, 2, campaign.set('name', 'renamed'));
+        store = this.accessors.AdAccount.current.delete(store, 3);
+        expect(exportChanges(this.accessors, store)).to.deep.equal({
+          nextKey: -2,
+          types: {
+            AdAccount: {created: [{id: -1, name: 'new'}], updated: [], deleted: [3]},
+            AdCampaign: {created: [], updated: [{pk: 2, changes: {name: 'renamed'}}], deleted: []}
+          }
+        });
+      });
+      it('applies a changeset to another store, remapping clashing temporary keys', function() {
+        let account = this.accessors.AdAccount.current.create(this.store, {name: 'new'});
+        let campaign = this.accessors.AdCampaign.current.create(account.store, {account_id: account.pk});
+        let store = this.accessors.AdAccount.current.set(campaign.store, 1, Map({id: 1, name: 'edited'}));
+        let changeset = JSON.parse(JSON.stringify(exportChanges(this.accessors, store)));
+
+        let target = this.accessors.AdAccount.current.create(this.store, {name: 'local'}).store;
+        target = applyChanges(this.accessors, target, changeset);
+        expect(this.accessors.AdAccount.current.get(target, -1).get('name')).to.equal('local');
+        expect(this.accessors.AdAccount.current.get(target, -3).toJS()).to.deep.equal({id: -3, name: 'new'});
+        expect(this.accessors.AdCampaign.current.get(target, -2).get('account_id')).to.equal(-3);
+        expect(this.accessors.AdAccount.current.get(target, 1).get('name')).to.equal('edited');
+        expect(target.get('_nextKey')).to.equal(-4);
+      });
+      it('refuses changes to missing records', function() {
+        expect(() => applyChanges(this.accessors, this.store, {
+          nextKey: -1,
+          types: {AdAccount: {created: [], updated: [{pk: 9, changes: {name: 'x'}}], deleted: []}}
+        })).to.throw(/missing AdAccount 9/);
+      });
+    });
+    describe('#persistence', function() {
+      beforeEach(function() {
+        this.store = this.accessors.AdAccount.initial.load(this.store, accounts);
+        this.store = this.accessors.AdCampaign.initial.load(this.store, campaigns);
+        this.store = this.accessors.AdCampaign.current.create(this.store, {account_id: 1}).store;
+        this.store = this.accessors.AdCampaign.current.delete(this.store, 2);
+      });
+      it('round-trips a store through JSON, keeping numeric keys', function() {
+        let snapshot = JSON.parse(JSON.stringify(serializeStore(this.store)));
+        let store = deserializeStore(this.accessors, snapshot);
+        expect(is(store, this.store)).to.be.true;
+        expect(this.accessors.AdCampaign.current.get(store, -1).get('account_id')).to.equal(1);
+        expect(this.accessors.AdAccount.children(store, 'AdCampaign', Map({id: 1})).keySeq().toJS())
+          .to.deep.equal([2, -1]);
+      });
+      it('rebuilds indexes with the current typedefs', function() {
+        let unrelated = entityTypeAccessors({
+          AdAccount: {key: ['id'], foreignKeys: {}, inverseForeignKeys: {}},
+          AdCampaign: {key: ['id'], foreignKeys: {}, inverseForeignKeys: {}}
+        });
+        let snapshot = JSON.parse(JSON.stringify(serializeStore(this.store)));
+        expect(snapshot.indexes).to.be.undefined;
+        let store = deserializeStore(unrelated, snapshot);
+        expect(store.get('indexes').size).to.equal(0);
+        store = deserializeStore(this.accessors, serializeStore(store));
+        expect(is(store.get('indexes'), this.store.get('indexes'))).to.be.true;
+        expect(this.accessors.AdAccount.children(store, 'AdCampaign', Map({id: 1})).has(-1)).to.be.true;
+        store = this.accessors.AdAccount.current.delete(store, 1);
+        expect(this.accessors.AdCampaign.current.get(store, -1)).to.be.undefined;
+      });
+      it('refuses snapshots in an unknown format', function() {
+        let snapshot = serializeStore(this.store);
+        snapshot.version = 0;
+        expect(() => deserializeStore(this.accessors, snapshot)).to.throw(/Unsupported store snapshot version 0/);
+      });
+      it('upgrades snapshots written by older versions', function() {
+        let snapshot = JSON.parse(JSON.stringify(serializeStore(this.store)));
+        ['conflicts', 'cascades', 'saving'].forEach(bucket => delete snapshot.buckets[bucket]);
+        snapshot.version = 1;
+        expect(is(deserializeStore(this.accessors, snapshot), this.store)).to.be.true;
+
+        snapshot = JSON.parse(JSON.stringify(serializeStore(this.store)));
+        snapshot.version = 4;
+        snapshot.buckets.cascades = {AdAccount: [[1, [{type: 'AdCampaign', pk: 2, policy: 'cascade', record: {id: 2}}]]]};
+        expect(deserializeStore(this.accessors, snapshot).getIn(['cascades', 'AdAccount', 1, 0, 'relation'])).to.equal('AdCampaign');
+      });
+      it('saves and loads stores through a storage adapter', function() {
+        let adapter = memoryAdapter();
+        return saveStore(adapter, 'draft', this.store)
+          .then(() => loadStore(this.accessors, adapter, 'draft'))
+          .then(store => {
+            expect(is(store, this.store)).to.be.true;
+            return loadStore(this.accessors, adapter, 'missing');
+          })
+          .then(store => expect(store).to.be.undefined);
+      });
+    });
+    describe('#history', function() {
+      beforeEach(function() {
+        this.history = newHistory(this.accessors.AdAccount.initial.load(this.store, accounts), {limit: 2});
+        this.undoable = historyAccessors(this.accessors);
+      });
+      it('undoes and redoes user-level mutations', function() {
+        let {history, pk} = this.undoable.AdAccount.current.create(this.history, {name: 'new'});
+        history = this.undoable.AdAccount.current.delete(history, 1);
+        expect(this.accessors.AdAccount.deleted.get(history.get('present'), 1)).to.exist;
+        history = undo(history);
+        expect(this.accessors.AdAccount.deleted.get(history.get('present'), 1)).to.be.undefined;
+        expect(canRedo(history)).to.be.true;
+        history = undo(history);
+        expect(this.accessors.AdAccount.current.get(history.get('present'), pk)).to.be.undefined;
+        expect(canUndo(history)).to.be.false;
+        history = redo(redo(history));
+        expect(this.accessors.AdAccount.current.get(history.get('present'), pk)).to.exist;
+        expect(this.accessors.AdAccount.deleted.get(history.get('present'), 1)).to.exist;
+      });
+      it('groups several mutations into one step', function() {
+        let history = group(this.history, h => {
+          h = this.undoable.AdAccount.current.create(h, {name: 'a'}).history;
+          return this.undoable.AdAccount.current.create(h, {name: 'b'}).history;
+        });
+        expect(this.accessors.AdAccount.current.getAllNew(history.get('present')).size).to.equal(2);
+        history = undo(history);
+        expect(is(history.get('present'), this.history.get('present'))).to.be.true;
+      });
+      it('caps the number of steps kept', function() {
+        let history = this.history;
+        ['a', 'b', 'c'].forEach(name => {
+          history = this.undoable.AdAccount.current.create(history, {name}).history;
+        });
+        history = undo(undo(history));
+        expect(canUndo(history)).to.be.false;
+        expect(this.accessors.AdAccount.current.getAllNew(history.get('present')).size).to.equal(1);
+      });
+      it('does not undo through server-driven calls', function() {
+        let {history, pk, record} = this.undoable.AdAccount.current.create(this.history, {name: 'new'});
+        history = this.undoable.AdAccount.current.accept(history, pk, record.set('id', 7));
+        expect(canUndo(history)).to.be.false;
+        history = undo(history);
+        expect(this.accessors.AdAccount.initial.get(history.get('present'), 7)).to.exist;
+      });
+    });
+  });
+
+  describe('#validation', function() {
+
+    let typedefs = {
+      Account: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {},
+        fields: {
+          name: {type: 'string', required: true, nullable: false, min: 1, max: 10},
+          tier: {enum: ['free', 'paid']},
+          seats: {type: 'integer', min: 1},
+          code: {validate: value => value.indexOf('-') < 0 && 'code must contain a dash'}
+        }
+      }
+    };
+
+    beforeEach(function() {
+      this.store = newStore();
+      this.accessors = entityTypeAccessors(typedefs);
+    });
+
+    it('reports errors per field', function() {
+      let errors = validateRecord(typedefs.Account.fields, Map({
+        tier: 'gold',
+        seats: 1.5,
+        code: 'abc'
+      }));
+      expect(errors.map(fieldErrors => fieldErrors.map(e => e.get('rule'))).toJS()).to.deep.equal({
+        name: ['required'],
+        tier: ['enum'],
+        seats: ['type'],
+        code: ['validate']
+      });
+      expect(validateRecord(typedefs.Account.fields, Map({name: null})).getIn(['name', 0, 'rule']))
+        .to.equal('nullable');
+      expect(validateRecord(typedefs.Account.fields, Map({name: 'abcdefghijk'})).getIn(['name', 0, 'rule']))
+        .to.equal('max');
+    });
+
+    it('validates current records', function() {
+      let store = this.accessors.Account.initial.load(this.store, [
+        {id: 1, name: 'ok', tier: 'free'},
+        {id: 2, name: 'bad', tier: 'gold'}
+      ]);
+      expect(this.accessors.Account.current.validate(store, 1)).to.equal(Map());
+      expect(this.accessors.Account.current.validate(store, 2).keySeq().toJS()).to.deep.equal(['tier']);
+      expect(this.accessors.Account.current.getAllInvalid(store).keySeq().toJS()).to.deep.equal([2]);
+    });
+
+    it('refuses invalid edits in strict mode', function() {
+      let accessors = entityTypeAccessors({
+        Account: Object.assign({}, typedefs.Account, {strict: true})
+      });
+      expect(() => accessors.Account.current.create(this.store, {tier: 'free'}))
+        .to.throw(/Invalid Account -1: name/);
+      let {store, pk, record} = accessors.Account.current.create(this.store, {name: 'test'});
+      try {
+        accessors.Account.current.set(store, pk, record.set('seats', 0));
+        throw new Error('expected set to throw');
+      } catch (e) {
+        expect(e.errors.getIn(['seats', 0, 'rule'])).to.equal('min');
+      }
+    });
+  });
+
+  describe('#keys', function() {
+
+    let typedefs = {
+      User: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          Membership: ['user_id']
+        },
+        keyGenerator: prefixedKeys('tmp-')
+      },
+      Group: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {},
+        keyGenerator: uuidKeys()
+      },
+      Membership: {
+        key: [['group_id'], ['user_id']],
+        foreignKeys: {
+          User: ['user_id']
+        },
+        inverseForeignKeys: {
+          Grant: [['membership', 'group_id'], ['membership', 'user_id']]
+        }
+      },
+      Grant: {
+        key: ['id'],
+        foreignKeys: {
+          Membership: [['membership', 'group_id'], ['membership', 'user_id']]
+        },
+        inverseForeignKeys: {}
+      }
+    };
+
+    beforeEach(function() {
+      this.store = newStore();
+      this.accessors = entityTypeAccessors(typedefs);
+    });
+
+    it('encodes composite keys as stable bucket keys', function() {
+      let store = this.accessors.Membership.initial.load(this.store, [{group_id: 1, user_id: 2}]);
+      let membership = this.accessors.Membership.current.get(store, '[1,2]');
+      expect(this.accessors.Membership.keyFor(membership)).to.equal('[1,2]');
+      expect(() => this.accessors.Membership.current.create(store, {group_id: 1}))
+        .to.throw(/Cannot generate a composite key for Membership/);
+    });
+
+    it('follows composite foreign keys', function() {
+      let store = this.accessors.Membership.initial.load(this.store, [{group_id: 1, user_id: 2}]);
+      store = this.accessors.Grant.initial.load(store, [{id: 3, membership: {group_id: 1, user_id: 2}}]);
+      let membership = this.accessors.Membership.current.get(store, '[1,2]');
+      let grant = this.accessors.Grant.current.get(store, 3);
+      expect(this.accessors.Membership.children(store, 'Grant', membership).keySeq().toJS()).to.deep.equal([3]);
+      expect(this.accessors.Grant.parents(store, 'Membership', grant).keySeq().toJS()).to.deep.equal(['[1,2]']);
+      let moved = this.accessors.Grant.foreignKey.set(store, 'Membership', grant, '[1,5]').record;
+      expect(moved.get('membership').toJS()).to.deep.equal({group_id: 1, user_id: 5});
+    });
+
+    it('uses the key generator for new records', function() {
+      let user = this.accessors.User.current.create(this.store, {name: 'a'});
+      expect(user.pk).to.equal('tmp-1');
+      expect(this.accessors.User.current.create(user.store, {}).pk).to.equal('tmp-2');
+      let created = this.accessors.Group.current.create(this.store, {});
+      expect(created.pk).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(created.store.get('_nextKey')).to.equal(-1);
+    });
+
+    it('propagates generated keys into composite keys on accept', function() {
+      let user = this.accessors.User.current.create(this.store, {name: 'a'});
+      let membership = this.accessors.Membership.current.create(user.store, {group_id: 1, user_id: user.pk});
+      let grant = this.accessors.Grant.current.create(membership.store, {membership: {group_id: 1, user_id: user.pk}});
+      let store = this.accessors.User.current.accept(grant.store, user.pk, user.record.set('id', 9));
+      expect(this.accessors.Membership.current.get(store, '[1,"tmp-1"]')).to.be.undefined;
+      expect(this.accessors.Membership.current.get(store, '[1,9]').get('user_id')).to.equal(9);
+      expect(this.accessors.Grant.current.get(store, grant.pk).getIn(['membership', 'user_id'])).to.equal(9);
+    });
+  });
+
+  describe('#manyToMany', function() {
+
+    let typedefs = {
+      Post: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          PostAuthor: ['post_id']
+        },
+        manyToMany: {
+          Tag: {keys: ['tag_ids']},
+          Author: {through: 'PostAuthor'}
+        }
+      },
+      Tag: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {},
+        manyToMany: {
+          Post: {inverseKeys: ['tag_ids']}
+        }
+      },
+      Author: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          PostAuthor: ['author_id']
+        },
+        manyToMany: {
+          Post: {through: 'PostAuthor'}
+        }
+      },
+      PostAuthor: {
+        key: [['post_id'], ['author_id']],
+        foreignKeys: {
+          Post: ['post_id'],
+          Author: ['author_id']
+        },
+        inverseForeignKeys: {}
+      }
+    };
+
+    beforeEach(function() {
+      this.store = newStore();
+      this.accessors = entityTypeAccessors(typedefs);
+      this.store = this.accessors.Tag.initial.load(this.store, [{id: 1, name: 'a'}, {id: 2, name: 'b'}]);
+      this.store = this.accessors.Author.initial.load(this.store, [{id: 5, name: 'ann'}]);
+      this.store = this.accessors.Post.initial.load(this.store, [{id: 10, tag_ids: [1, 2]}]);
+      this.store = this.accessors.PostAuthor.initial.load(this.store, [{post_id: 10, author_id: 5}]);
+      this.post = this.accessors.Post.current.get(this.store, 10);
+    });
+
+    it('traverses array-valued keys in both directions', function() {
+      expect(this.accessors.Post.related(this.store, 'Tag', this.post).keySeq().toJS()).to.deep.equal([1, 2]);
+      let tag = this.accessors.Tag.current.get(this.store, 2);
+      expect(this.accessors.Tag.related(this.store, 'Post', tag).keySeq().toJS()).to.deep.equal([10]);
+    });
+
+    it('traverses join types in both directions', function() {
+      expect(this.accessors.Post.related(this.store, 'Author', this.post).keySeq().toJS()).to.deep.equal([5]);
+      let author = this.accessors.Author.current.get(this.store, 5);
+      expect(this.accessors.Author.related(this.store, 'Post', author).keySeq().toJS()).to.deep.equal([10]);
+    });
+
+    it('links and unlinks records', function() {
+      let tag = this.accessors.Tag.current.create(this.store, {name: 'new'});
+      let store = this.accessors.Tag.links.link(tag.store, 'Post', tag.record, 10);
+      expect(this.accessors.Post.current.get(store, 10).get('tag_ids').toJS()).to.deep.equal([1, 2, -1]);
+      store = this.accessors.Post.links.unlink(store, 'Tag', this.post, 1);
+      expect(this.accessors.Post.current.get(store, 10).get('tag_ids').toJS()).to.deep.equal([2, -1]);
+
+      let author = this.accessors.Author.current.create(store, {name: 'bob'});
+      store = this.accessors.Post.links.link(author.store, 'Author', this.post, author.pk);
+      expect(this.accessors.PostAuthor.current.get(store, `[10,${author.pk}]`)).to.exist;
+      store = this.accessors.Post.links.unlink(store, 'Author', this.post, 5);
+      expect(this.accessors.PostAuthor.deleted.get(store, '[10,5]')).to.exist;
+      expect(this.accessors.Post.related(store, 'Author', this.post).keySeq().toJS()).to.deep.equal([author.pk]);
+      store = this.accessors.Post.links.link(store, 'Author', this.post, 5);
+      expect(this.accessors.PostAuthor.deleted.get(store, '[10,5]')).to.be.undefined;
+    });
+
+    it('propagates new keys into key lists on accept', function() {
+      let tag = this.accessors.Tag.current.create(this.store, {name: 'new'});
+      let store = this.accessors.Tag.links.link(tag.store, 'Post', tag.record, 10);
+      store = this.accessors.Tag.current.accept(store, tag.pk, tag.record.set('id', 3));
+      expect(this.accessors.Post.current.get(store, 10).get('tag_ids').toJS()).to.deep.equal([1, 2, 3]);
+      expect(this.accessors.Tag.related(store, 'Post', this.accessors.Tag.current.get(store, 3)).size).to.equal(1);
+    });
+
+    it('cleans up links when either side is deleted', function() {
+      let store = this.accessors.Tag.current.delete(this.store, 1);
+      expect(this.accessors.Post.current.get(store, 10).get('tag_ids').toJS()).to.deep.equal([2]);
+      expect(summarizePlan(planSync(this.accessors, store))).to.deep.equal([
+        ['update Post 10'],
+        ['delete Tag 1']
+      ]);
+      store = this.accessors.Author.current.delete(this.store, 5);
+      expect(this.accessors.PostAuthor.deleted.get(store, '[10,5]')).to.exist;
+    });
+
+    it('puts links back when a delete is rejected', function() {
+      let store = this.accessors.Tag.current.delete(this.store, 1);
+      store = this.accessors.Tag.current.reject(store, 1);
+      expect(this.accessors.Post.current.get(store, 10).get('tag_ids').toJS()).to.deep.equal([1, 2]);
+      expect(this.accessors.Post.state(store, this.post)).to.equal(ENTITY_STATE.UNCHANGED);
+      expect(store.getIn(['cascades', 'Tag', 1])).to.be.undefined;
+    });
+  });
+
+  describe('#onDelete', function() {
+
+    let typedefs = policy => ({
+      Account: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          User: ['account_id']
+        },
+        onDelete: policy ? {User: policy} : {}
+      },
+      User: {
+        key: ['id'],
+        foreignKeys: {
+          Account: ['account_id']
+        },
+        inverseForeignKeys: {}
+      }
+    });
+
+    let load = accessors => {
+      let store = accessors.Account.initial.load(newStore(), [{id: 1}]);
+      store = accessors.User.initial.load(store, [{id: 2, account_id: 1}, {id: 3, account_id: 1}]);
+      return accessors.User.current.create(store, {account_id: 1}).store;
+    };
+
+    it('cascades by default, and restores children on reject', function() {
+      let accessors = entityTypeAccessors(typedefs());
+      let original = load(accessors);
+      let edited = accessors.User.current.get(original, 2).set('name', 'edited');
+      original = accessors.User.current.set(original, 2, edited);
+      let store = accessors.Account.current.delete(original, 1);
+      expect(accessors.User.deleted.getAll(store).keySeq().toJS()).to.deep.equal([2, 3]);
+      expect(accessors.User.current.get(store, -1)).to.be.undefined;
+      store = accessors.Account.current.reject(store, 1);
+      expect(accessors.User.deleted.getAll(store)).to.equal(Map());
+      expect(accessors.User.current.get(store, 2)).to.equal(edited);
+      expect(accessors.User.current.get(store, -1).get('account_id')).to.equal(1);
+      expect(store.getIn(['cascades', 'Account', 1])).to.be.undefined;
+    });
+
+    it('restores the children of new children on reject', function() {
+      let accessors = entityTypeAccessors({
+        Account: typedefs().Account,
+        User: Object.assign({}, typedefs().User, {inverseForeignKeys: {Note: ['user_id']}}),
+        Note: {key: ['id'], foreignKeys: {User: ['user_id']}, inverseForeignKeys: {}}
+      });
+      let store = load(accessors);
+      store = accessors.Note.current.create(store, {user_id: -1, text: 'hi'}).store;
+      store = accessors.Account.current.delete(store, 1);
+      expect(accessors.Note.current.get(store, -2)).to.be.undefined;
+      store = accessors.Account.current.reject(store, 1);
+      expect(accessors.User.current.get(store, -1)).to.exist;
+      expect(accessors.Note.current.get(store, -2).get('text')).to.equal('hi');
+    });
+
+    it('clears foreign keys with setNull, and sets them back on reject', function() {
+      let accessors = entityTypeAccessors(typedefs(ON_DELETE.SET_NULL));
+      let store = accessors.Account.current.delete(load(accessors), 1);
+      expect(accessors.User.deleted.getAll(store)).to.equal(Map());
+      expect(accessors.User.current.getAll(store).map(user => user.get('account_id')).toJS())
+        .to.deep.equal({2: null, 3: null, '-1': null});
+      store = accessors.Account.deleted.accept(store, 1);
+      expect(accessors.User.current.getAll(store).size).to.equal(3);
+      store = accessors.Account.current.delete(load(accessors), 1);
+      store = accessors.Account.current.reject(store, 1);
+      expect(accessors.User.current.getAllChanged(store)).to.equal(Map());
+      expect(accessors.Account.children(store, 'User', Map({id: 1})).size).to.equal(3);
+    });
+
+    it('refuses to delete parents of restrict relations', function() {
+      let accessors = entityTypeAccessors(typedefs(ON_DELETE.RESTRICT));
+      let store = load(accessors);
+      expect(() => accessors.Account.current.delete(store, 1))
+        .to.throw('Cannot delete Account 1, it still has User 2, 3, -1');
+      [2, 3, -1].forEach(pk => {
+        store = accessors.User.current.delete(store, pk);
+      });
+      store = accessors.Account.current.delete(store, 1);
+      expect(accessors.Account.deleted.get(store, 1)).to.exist;
+    });
+
+    it('refuses unknown policies', function() {
+      expect(() => entityTypeAccessors(typedefs('orphan'))).to.throw(/Unknown onDelete policy orphan/);
+    });
+  });
+
+  describe('#query', function() {
+
+    let typedefs = {
+      Account: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          User: ['account_id']
+        }
+      },
+      User: {
+        key: ['id'],
+        foreignKeys: {
+          Account: ['account_id']
+        },
+        inverseForeignKeys: {}
+      }
+    };
+
+    beforeEach(function() {
+      this.accessors = entityTypeAccessors(typedefs);
+      this.store = this.accessors.Account.initial.load(newStore(), [{id: 1, name: 'Acme'}, {id: 2, name: 'Globex'}]);
+      this.store = this.accessors.User.initial.load(this.store, [
+        {id: 10, name: 'carol', age: 40, account_id: 1},
+        {id: 11, name: 'alice', age: 17, account_id: 1},
+        {id: 12, name: 'bob', age: 25, account_id: 2},
+        {id: 13, name: 'dave', age: 25, account_id: 1, address: {city: 'Paris'}}
+      ]);
+    });
+
+    it('filters, sorts and limits records', function() {
+      let results = this.accessors.User.query(this.store)
+        .where('age', '>=', 18)
+        .orderBy('age', 'desc')
+        .orderBy('name')
+        .limit(2)
+        .run();
+      expect(results.keySeq().toJS()).to.deep.equal([10, 12]);
+      expect(results.get(10).get('name')).to.equal('carol');
+      expect(this.accessors.User.query(this.store).orderBy('name').offset(3).run().keySeq().toJS()).to.deep.equal([13]);
+    });
+
+    it('compares nested paths and accepts predicate functions', function() {
+      let query = this.accessors.User.query(this.store);
+      expect(query.where(['address', 'city'], 'Paris').run().keySeq().toJS()).to.deep.equal([13]);
+      expect(query.where('name', 'in', ['bob', 'dave']).run().keySeq().toJS()).to.deep.equal([12, 13]);
+      expect(query.where(record => record.get('age') < 20).run().keySeq().toJS()).to.deep.equal([11]);
+      expect(() => query.where('age', '~', 1)).to.throw('Unknown query operator ~');
+    });
+
+    it('follows relations in both directions', function() {
+      let acme = account => account.where('name', 'Acme');
+      expect(this.accessors.User.query(this.store).whereRelated('Account', acme).orderBy('name').run().keySeq().toJS())
+        .to.deep.equal([11, 10, 13]);
+      let adults = this.accessors.Account.query(this.store)
+        .whereRelated('User', user => user.where('age', '<', 18))
+        .run();
+      expect(adults.keySeq().toJS()).to.deep.equal([1]);
+      expect(() => this.accessors.User.query(this.store).whereRelated('Post', acme)).to.throw('User has no relation to Post');
+    });
+
+    it('answers foreign key predicates from the indexes', function() {
+      let accessors = this.accessors;
+      accessors.User.current.getAll = () => {
+        throw new Error('scanned every record');
+      };
+      expect(accessors.User.query(this.store).where('account_id', 2).run().keySeq().toJS()).to.deep.equal([12]);
+      expect(accessors.User.query(this.store).whereRelated('Account', account => account.where('id', 2)).run().keySeq().toJS())
+        .to.deep.equal([12]);
+    });
+
+    it('queries other buckets and states', function() {
+      let store = this.accessors.User.current.set(this.store, 11, this.accessors.User.current.get(this.store, 11).set('age', 18));
+      store = this.accessors.User.current.create(store, {name: 'erin', age: 30, account_id: 2}).store;
+      store = this.accessors.User.current.delete(store, 12);
+      let query = this.accessors.User.query(store);
+      expect(query.where('age', '<', 18).run().size).to.equal(0);
+      expect(query.from('initial').where('age', '<', 18).run().keySeq().toJS()).to.deep.equal([11]);
+      expect(query.from('deleted').run().keySeq().toJS()).to.deep.equal([12]);
+      expect(query.inState(ENTITY_STATE.NEW, ENTITY_STATE.MODIFIED).orderBy('name').run().keySeq().toJS())
+        .to.deep.equal([11, -1]);
+      expect(query.from('initial').where('account_id', 2).run().keySeq().toJS()).to.deep.equal([12]);
+      expect(() => query.from('conflicts')).to.throw('Cannot query unknown bucket conflicts');
+    });
+  });
+
+  describe('#selectors', function() {
+
+    let typedefs = {
+      Account: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          User: ['account_id']
+        }
+      },
+      User: {
+        key: ['id'],
+        foreignKeys: {
+          Account: ['account_id']
+        },
+        inverseForeignKeys: {}
+      }
+    };
+
+    beforeEach(function() {
+      this.accessors = entityTypeAccessors(typedefs);
+      this.selectors = entityTypeSelectors(this.accessors);
+      this.store = this.accessors.Account.initial.load(newStore(), [{id: 1, name: 'Acme'}, {id: 2, name: 'Globex'}]);
+      this.store = this.accessors.User.initial.load(this.store, [
+        {id: 10, name: 'carol', account_id: 1},
+        {id: 11, name: 'alice', account_id: 2}
+      ]);
+    });
+
+    it('agrees with the accessors', function() {
+      let store = this.accessors.Account.current.set(this.store, 1, Map({id: 1, name: 'Renamed'}));
+      store = this.accessors.Account.current.create(store, {name: 'new'}).store;
+      store = this.accessors.Account.current.delete(store, 2);
+      let selectors = this.selectors.Account;
+      expect(is(selectors.current.getAllChanged(store), this.accessors.Account.current.getAllChanged(store))).to.be.true;
+      expect(is(selectors.current.getAllNew(store), this.accessors.Account.current.getAllNew(store))).to.be.true;
+      expect(is(selectors.deleted.getAll(store), this.accessors.Account.deleted.getAll(store))).to.be.true;
+      expect(is(selectors.children(store, 'User', 1), this.accessors.Account.children(store, 'User', Map({id: 1})))).to.be.true;
+      expect(selectors.children(store, 'User', 99).size).to.equal(0);
+      expect(() => selectors.children(store, 'Post', 1)).to.throw('Account has no children of type Post');
+    });
+
+    it('only recomputes when the buckets of its type change', function() {
+      let changed = this.selectors.Account.current.getAllChanged(this.store);
+      let children = this.selectors.Account.children(this.store, 'User', 1);
+      let store = this.accessors.User.current.set(this.store, 11, Map({id: 11, name: 'renamed', account_id: 2}));
+      expect(this.selectors.Account.current.getAllChanged(store)).to.equal(changed);
+      expect(this.selectors.Account.children(store, 'User', 1)).to.equal(children);
+      store = this.accessors.User.current.set(store, 10, Map({id: 10, name: 'renamed', account_id: 1}));
+      expect(this.selectors.Account.children(store, 'User', 1).get(10).get('name')).to.equal('renamed');
+      store = this.accessors.Account.current.set(store, 2, Map({id: 2, name: 'Initech'}));
+      expect(this.selectors.Account.current.getAllChanged(store).keySeq().toJS()).to.deep.equal([2]);
+    });
+
+    it('composes derived selectors', function() {
+      let calls = 0;
+      let getChangedNames = createSelector([this.selectors.Account.current.getAllChanged], changed => {
+        calls++;
+        return changed.map(account => account.get('name')).toList();
+      });
+      let store = this.accessors.Account.current.set(this.store, 1, Map({id: 1, name: 'Renamed'}));
+      expect(getChangedNames(store).toJS()).to.deep.equal(['Renamed']);
+      store = this.accessors.User.current.delete(store, 10);
+      expect(getChangedNames(store).toJS()).to.deep.equal(['Renamed']);
+      expect(calls).to.equal(1);
+    });
+  });
+
+  describe('#container', function() {
+
+    let typedefs = {
+      Account: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          User: ['account_id']
+        }
+      },
+      User: {
+        key: ['id'],
+        foreignKeys: {
+          Account: ['account_id']
+        },
+        inverseForeignKeys: {}
+      }
+    };
+
+    beforeEach(function() {
+      this.accessors = entityTypeAccessors(typedefs);
+      this.container = new StoreContainer(this.accessors);
+      this.container.accessors.Account.initial.load([{id: 1, name: 'Acme'}]);
+      this.container.accessors.User.initial.load([{id: 10, name: 'carol', account_id: 1}]);
+    });
+
+    it('runs accessor calls against the held store', function() {
+      let {pk} = this.container.accessors.User.current.create({name: 'dave', account_id: 1});
+      expect(pk).to.equal(-1);
+      let store = this.container.getStore();
+      expect(this.accessors.Account.children(store, 'User', Map({id: 1})).size).to.equal(2);
+      this.container.run(s => this.accessors.User.current.delete(s, pk));
+      expect(this.accessors.User.current.get(this.container.getStore(), pk)).to.be.undefined;
+    });
+
+    it('notifies type and record subscribers with the changed bucket', function() {
+      let typeChanges = [];
+      let recordChanges = [];
+      let updates = 0;
+      this.container.subscribeType('User', change => typeChanges.push(change));
+      let unsubscribe = this.container.subscribeRecord('Account', 1, change => recordChanges.push(change));
+      this.container.subscribe(() => {
+        updates++;
+      });
+      let renamed = Map({id: 1, name: 'Renamed'});
+      this.container.accessors.Account.current.set(1, renamed);
+      expect(typeChanges).to.deep.equal([]);
+      expect(recordChanges.length).to.equal(1);
+      expect(recordChanges[0]).to.include({type: 'Account', pk: 1, bucket: 'current', next: renamed});
+      expect(recordChanges[0].previous.get('name')).to.equal('Acme');
+
+      this.container.accessors.Account.current.delete(1);
+      expect(recordChanges.map(change => change.bucket)).to.deep.equal(['current', 'deleted']);
+      expect(typeChanges.map(change => `${change.bucket} ${change.pk}`)).to.deep.equal(['deleted 10']);
+
+      unsubscribe();
+      this.container.accessors.Account.current.reject(1);
+      expect(recordChanges.length).to.equal(2);
+      expect(updates).to.equal(3);
+      this.container.setStore(this.container.getStore());
+      expect(updates).to.equal(3);
+    });
+
+    it('notifies state transitions', function() {
+      let transitions = [];
+      this.container.subscribeState('User', change => transitions.push(`${change.pk} ${change.previous} -> ${change.next}`));
+      let {pk} = this.container.accessors.User.current.create({name: 'dave', account_id: 1});
+      this.container.accessors.User.current.set(10, Map({id: 10, name: 'renamed', account_id: 1}));
+      this.container.accessors.User.current.set(10, Map({id: 10, name: 'renamed again', account_id: 1}));
+      this.container.accessors.User.current.accept(pk, Map({id: 11, name: 'dave', account_id: 1}));
+      expect(transitions).to.deep.equal([
+        '-1 undefined -> NEW',
+        '10 UNCHANGED -> MODIFIED',
+        '11 undefined -> UNCHANGED',
+        '-1 NEW -> undefined'
+      ]);
+      expect(() => this.container.subscribeState('Post', () => {})).to.throw('Cannot subscribe to unknown type Post');
+    });
+  });
+
+  describe('#redux', function() {
+
+    let typedefs = {
+      Account: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          User: ['account_id']
+        }
+      },
+      User: {
+        key: ['id'],
+        foreignKeys: {
+          Account: ['account_id']
+        },
+        inverseForeignKeys: {}
+      }
+    };
+
+    beforeEach(function() {
+      this.accessors = entityTypeAccessors(typedefs);
+      this.actions = entityTypeActions(this.accessors);
+      this.reducer = createReducer(this.accessors);
+      this.store = this.reducer(undefined, this.actions.Account.initial.load([Map({id: 1, name: 'Acme'})]));
+    });
+
+    it('applies actions through the accessors', function() {
+      let create = this.actions.User.current.create(this.store, {name: 'dave', account_id: 1});
+      expect(create.type).to.equal('dohmane/User/current/create');
+      expect(create.payload.pk).to.equal(-1);
+      let store = this.reducer(this.store, create);
+      expect(this.accessors.User.current.get(store, -1).get('name')).to.equal('dave');
+      let second = this.actions.User.current.create(store, {name: 'erin'});
+      expect(second.payload.pk).to.equal(-2);
+
+      store = this.reducer(store, this.actions.Account.current.set(1, Map({id: 1, name: 'Renamed'})));
+      expect(this.accessors.Account.current.getAllChanged(store).size).to.equal(1);
+      store = this.reducer(store, this.actions.User.current.accept(-1, {id: 5, name: 'dave', account_id: 1}));
+      expect(this.accessors.User.initial.get(store, 5)).to.exist;
+      store = this.reducer(store, this.actions.Account.current.delete(1));
+      store = this.reducer(store, this.actions.Account.deleted.reject(1));
+      expect(this.accessors.User.deleted.getAll(store).size).to.equal(0);
+      store = this.reducer(store, this.actions.Account.current.reject(1));
+      expect(this.accessors.Account.current.getAllChanged(store).size).to.equal(0);
+      expect(this.reducer(store, {type: 'other/action'})).to.equal(store);
+    });
+
+    it('makes serializable actions which replay to the same store', function() {
+      let store = this.store;
+      let log = [];
+      let dispatch = action => {
+        log.push(JSON.parse(JSON.stringify(action)));
+        store = this.reducer(store, action);
+      };
+      dispatch(this.actions.User.current.create(store, {name: 'dave', account_id: 1}));
+      dispatch(this.actions.User.current.set(-1, Map({id: -1, name: 'david', account_id: 1})));
+      dispatch(this.actions.Account.current.delete(1));
+      expect(is(log.reduce(this.reducer, this.store), store)).to.be.true;
+      expect(() => this.actions.Account.initial.load([], {strategy: () => {}})).to.throw(/merge strategy function/);
+    });
+
+    it('explains bad actions', function() {
+      expect(() => this.reducer(this.store, {type: 'dohmane/Post/current/set', payload: {}}))
+        .to.throw('Unknown entity type Post in action dohmane/Post/current/set');
+      expect(() => this.reducer(this.store, {type: 'dohmane/Account/current/explode', payload: {}}))
+        .to.throw('Unknown method current.explode in action dohmane/Account/current/explode');
+      expect(() => this.reducer(this.store, this.actions.Account.current.set(9, {id: 9})))
+        .to.throw('Cannot current.set Account 9, it is not in the current bucket');
+      expect(() => this.reducer(this.store, this.actions.Account.deleted.accept(1)))
+        .to.throw('Cannot deleted.accept Account 1, it is not in the deleted bucket');
+    });
+  });
+
+  describe('#loadNormalized', function() {
+
+    let typedefs = {
+      Account: {
+        key: ['id'],
+        foreignKeys: {
+          Owner: ['owner_id']
+        },
+        inverseForeignKeys: {
+          User: ['account_id']
+        },
+        embedded: {
+          Owner: ['owner'],
+          User: ['users']
+        }
+      },
+      Owner: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          Account: ['owner_id']
+        }
+      },
+      User: {
+        key: ['id'],
+        foreignKeys: {
+          Account: ['account_id']
+        },
+        inverseForeignKeys: {},
+        manyToMany: {
+          Tag: {keys: ['tag_ids']}
+        },
+        embedded: {
+          Tag: ['tags']
+        }
+      },
+      Tag: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {}
+      }
+    };
+
+    beforeEach(function() {
+      this.accessors = entityTypeAccessors(typedefs);
+    });
+
+    it('splits nested documents into their types', function() {
+      let {store, keys} = loadNormalized(this.accessors, newStore(), 'Account', [
+        {
+          id: 1,
+          name: 'Acme',
+          owner: {id: 7, name: 'olga'},
+          users: [
+            {id: 10, name: 'carol', tags: [{id: 100, label: 'admin'}, {id: 101, label: 'ops'}]},
+            {id: 11, name: 'dave', account_id: 1, tag_ids: [101], tags: [{id: 101, label: 'ops'}]}
+          ]
+        },
+        {id: 2, name: 'Globex', users: []}
+      ]);
+      expect(keys.toJS()).to.deep.equal([1, 2]);
+      expect(this.accessors.Account.initial.get(store, 1).toJS()).to.deep.equal({id: 1, name: 'Acme', owner_id: 7});
+      expect(this.accessors.Owner.initial.get(store, 7).get('name')).to.equal('olga');
+      expect(this.accessors.User.current.get(store, 10).toJS())
+        .to.deep.equal({id: 10, name: 'carol', account_id: 1, tag_ids: [100, 101]});
+      expect(this.accessors.User.current.get(store, 11).get('tag_ids').toJS()).to.deep.equal([101]);
+      expect(this.accessors.Tag.current.getAll(store).keySeq().toJS()).to.deep.equal([100, 101]);
+      expect(this.accessors.Account.children(store, 'User', Map({id: 1})).size).to.equal(2);
+      expect(this.accessors.Account.current.getAllChanged(store).size).to.equal(0);
+    });
+
+    it('loads a single document, and merges local edits', function() {
+      let store = loadNormalized(this.accessors, newStore(), 'Account', {id: 1, name: 'Acme', users: [{id: 10, name: 'carol'}]}).store;
+      store = this.accessors.User.current.set(store, 10, Map({id: 10, name: 'caroline', account_id: 1}));
+      let result = loadNormalized(this.accessors, store, 'Account', {id: 1, name: 'Acme', users: [{id: 10, name: 'carol', age: 40}]});
+      expect(result.keys.toJS()).to.deep.equal([1]);
+      expect(this.accessors.User.current.get(result.store, 10).toJS())
+        .to.deep.equal({id: 10, name: 'caroline', age: 40, account_id: 1});
+    });
+
+    it('refuses documents without keys, and undeclared embeddings', function() {
+      expect(() => loadNormalized(this.accessors, newStore(), 'Account', {id: 1, users: [{name: 'carol'}]}))
+        .to.throw(/Cannot load User without a primary key/);
+      expect(() => loadNormalized(this.accessors, newStore(), 'Post', {})).to.throw('Cannot load unknown type Post');
+      expect(() => entityTypeAccessors({Tag: {key: ['id'], foreignKeys: {}, inverseForeignKeys: {}, embedded: {User: ['users']}}}))
+        .to.throw('Tag cannot embed User; it needs a foreign key or a many-to-many key list');
+    });
+  });
+
+  describe('#denormalize', function() {
+
+    let typedefs = {
+      Account: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          User: ['account_id']
+        },
+        embedded: {
+          User: ['users']
+        }
+      },
+      Team: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          User: ['team_id']
+        }
+      },
+      User: {
+        key: ['id'],
+        foreignKeys: {
+          Account: ['account_id'],
+          Team: ['team_id']
+        },
+        inverseForeignKeys: {}
+      }
+    };
+
+    beforeEach(function() {
+      this.accessors = entityTypeAccessors(typedefs);
+      this.store = loadNormalized(this.accessors, newStore(), 'Account', {
+        id: 1,
+        name: 'Acme',
+        users: [{id: 10, name: 'carol', team_id: 5}, {id: 11, name: 'dave'}]
+      }).store;
+      this.store = this.accessors.Team.initial.load(this.store, [{id: 5, name: 'ops'}]);
+    });
+
+    it('embeds the relations named in the spec', function() {
+      let tree = this.accessors.Account.denormalize(this.store, 1, {relations: {User: {relations: {Team: true}}}, toJS: true});
+      expect(tree).to.deep.equal({
+        id: 1,
+        name: 'Acme',
+        users: [
+          {id: 10, name: 'carol', account_id: 1, team_id: 5, Team: {id: 5, name: 'ops'}},
+          {id: 11, name: 'dave', account_id: 1}
+        ]
+      });
+      let immutable = this.accessors.Account.denormalize(this.store, 1, {relations: {User: true}});
+      expect(immutable.getIn(['users', 0, 'Team'])).to.be.undefined;
+      expect(is(immutable.getIn(['users', 1]), this.accessors.User.current.get(this.store, 11))).to.be.true;
+      expect(is(loadNormalized(this.accessors, this.store, 'Account', immutable).store, this.store)).to.be.true;
+    });
+
+    it('follows every relation to a depth, without cycling', function() {
+      let tree = this.accessors.User.denormalize(this.store, 10, {depth: 3, toJS: true});
+      expect(tree.Account.users.map(user => user.id)).to.deep.equal([11]);
+      expect(tree.Account.users[0].Account).to.be.undefined;
+      expect(tree.Team.User).to.deep.equal([]);
+      expect(this.accessors.User.denormalize(this.store, 10, {toJS: true}).Account).to.deep.equal({id: 1, name: 'Acme'});
+    });
+
+    it('leaves out deleted records unless asked', function() {
+      let store = this.accessors.User.current.delete(this.store, 11);
+      expect(this.accessors.Account.denormalize(store, 1).get('users').size).to.equal(1);
+      expect(this.accessors.Account.denormalize(store, 1, {includeDeleted: true}).get('users').size).to.equal(2);
+      expect(this.accessors.User.denormalize(store, 11)).to.be.undefined;
+      expect(this.accessors.User.denormalize(store, 99)).to.be.undefined;
+      expect(() => this.accessors.User.denormalize(store, 10, {relations: {Post: true}})).to.throw('User has no relation to Post');
+    });
+  });
+
+  describe('#saving', function() {
+
+    let typedefs = {
+      Account: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          User: ['account_id']
+        }
+      },
+      User: {
+        key: ['id'],
+        foreignKeys: {
+          Account: ['account_id']
+        },
+        inverseForeignKeys: {}
+      }
+    };
+
+    beforeEach(function() {
+      this.accessors = entityTypeAccessors(typedefs);
+      this.store = this.accessors.Account.initial.load(newStore(), [{id: 1, name: 'Acme', tier: 'free'}]);
+    });
+
+    it('keeps edits made while a save is in flight', function() {
+      let Account = this.accessors.Account;
+      let store = Account.current.set(this.store, 1, Map({id: 1, name: 'Renamed', tier: 'free'}));
+      let saving = Account.current.beginSave(store, 1);
+      expect(saving.record.get('name')).to.equal('Renamed');
+      store = saving.store;
+      expect(Account.state(store, saving.record)).to.equal(ENTITY_STATE.SAVING);
+      store = Account.current.set(store, 1, Map({id: 1, name: 'Renamed', tier: 'paid'}));
+      expect(Account.state(store, saving.record)).to.equal(ENTITY_STATE.SAVING);
+      expect(() => Account.current.beginSave(store, 1)).to.throw('Cannot save Account 1, it is already being saved');
+
+      store = Account.current.accept(store, 1, {id: 1, name: 'Renamed', tier: 'free', updated: 'now'});
+      expect(Account.initial.get(store, 1).get('updated')).to.equal('now');
+      expect(Account.current.get(store, 1).toJS()).to.deep.equal({id: 1, name: 'Renamed', tier: 'paid', updated: 'now'});
+      expect(Account.state(store, saving.record)).to.equal(ENTITY_STATE.MODIFIED);
+      expect(Account.current.getSaving(store, 1)).to.be.undefined;
+    });
+
+    it('rebases new records onto their server keys', function() {
+      let {store, pk} = this.accessors.User.current.create(this.store, {name: 'dave', account_id: 1});
+      store = this.accessors.User.current.beginSave(store, pk).store;
+      store = this.accessors.User.current.set(store, pk, Map({id: pk, name: 'david', account_id: 1}));
+      store = this.accessors.User.current.accept(store, pk, {id: 20, name: 'dave', account_id: 1});
+      expect(this.accessors.User.current.get(store, pk)).to.be.undefined;
+      expect(this.accessors.User.current.get(store, 20).toJS()).to.deep.equal({id: 20, name: 'david', account_id: 1});
+      expect(this.accessors.User.initial.get(store, 20).get('name')).to.equal('dave');
+    });
+
+    it('puts records back as they were when a save fails', function() {
+      let Account = this.accessors.Account;
+      let record = Map({id: 1, name: 'Renamed', tier: 'free'});
+      let store = Account.current.beginSave(Account.current.set(this.store, 1, record), 1).store;
+      store = Account.current.failSave(store, 1);
+      expect(Account.state(store, record)).to.equal(ENTITY_STATE.MODIFIED);
+      expect(Account.current.get(store, 1)).to.equal(record);
+      store = Account.current.delete(store, 1);
+      expect(() => Account.current.beginSave(store, 1)).to.throw('Cannot save Account 1, it is not a current record');
+    });
+
+    it('drops saves in flight for deleted or rejected records', function() {
+      let {User, Account} = this.accessors;
+      let {store, pk, record} = User.current.create(this.store, {name: 'dave', account_id: 1});
+      store = User.current.delete(User.current.beginSave(store, pk).store, pk);
+      expect(User.current.getSaving(store, pk)).to.be.undefined;
+      expect(User.state(store, record)).to.equal(ENTITY_STATE.UNKNOWN);
+      expect(summarySelectors(this.accessors).isDirty(store)).to.be.false;
+
+      store = Account.current.beginSave(Account.current.set(store, 1, Map({id: 1, name: 'Renamed'})), 1).store;
+      store = Account.current.reject(store, 1);
+      expect(Account.current.getSaving(store, 1)).to.be.undefined;
+      expect(Account.state(store, Account.current.get(store, 1))).to.equal(ENTITY_STATE.UNCHANGED);
+      store = Account.current.beginSave(store, 1).store;
+      store = Account.current.delete(store, 1);
+      expect(Account.current.getSaving(store, 1)).to.be.undefined;
+      expect(Account.state(store, Account.initial.get(store, 1))).to.equal(ENTITY_STATE.DELETED);
+    });
+
+    it('keeps deletes made while a save is in flight', function() {
+      let {User, Account} = this.accessors;
+      let store = User.initial.load(this.store, [{id: 10, name: 'carol', account_id: 1}]);
+      store = Account.current.set(store, 1, Map({id: 1, name: 'Renamed', tier: 'free'}));
+      store = Account.current.beginSave(store, 1).store;
+      store = Account.current.delete(store, 1);
+      store = Account.current.accept(store, 1, {id: 1, name: 'Renamed', tier: 'free'});
+      expect(Account.initial.get(store, 1).get('name')).to.equal('Renamed');
+      expect(Account.state(store, Account.initial.get(store, 1))).to.equal(ENTITY_STATE.DELETED);
+      expect(User.deleted.get(store, 10)).to.exist;
+
+      let created = User.current.create(store, {name: 'dave', account_id: 1});
+      store = User.current.beginSave(created.store, created.pk).store;
+      store = User.current.delete(store, created.pk);
+      store = User.current.accept(store, created.pk, {id: 20, name: 'dave', account_id: 1});
+      expect(User.current.get(store, created.pk)).to.be.undefined;
+      expect(User.current.get(store, 20)).to.be.undefined;
+      expect(User.initial.get(store, 20)).to.be.undefined;
+    });
+  });
+
+  describe('#transaction', function() {
+
+    let typedefs = {
+      Account: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          User: ['account_id']
+        },
+        fields: {
+          name: {type: 'string', required: true}
+        }
+      },
+      User: {
+        key: ['id'],
+        foreignKeys: {
+          Account: ['account_id']
+        },
+        inverseForeignKeys: {}
+      }
+    };
+
+    beforeEach(function() {
+      this.accessors = entityTypeAccessors(typedefs);
+      this.store = this.accessors.Account.initial.load(newStore(), [{id: 1, name: 'Acme'}]);
+      this.store = this.accessors.User.initial.load(this.store, [{id: 10, account_id: 1}, {id: 11, account_id: 1}]);
+    });
+
+    it('commits several calls and sums up their changes', function() {
+      let {Account, User} = this.accessors;
+      let result = transaction(this.accessors, this.store, store => {
+        let created = Account.current.create(store, {name: 'Globex'});
+        store = created.store;
+        [1, 2, 3].forEach(() => {
+          store = User.current.create(store, {account_id: created.pk}).store;
+        });
+        store = User.current.set(store, 10, Map({id: 10, account_id: created.pk}));
+        store = User.current.delete(store, 11);
+        return {store, pk: created.pk};
+      });
+      expect(result.ok).to.be.true;
+      expect(result.result.pk).to.equal(-1);
+      expect(result.summary).to.deep.equal({
+        Account: {created: [-1], updated: [], deleted: []},
+        User: {created: [-2, -3, -4], updated: [10], deleted: [11]}
+      });
+      expect(Account.children(result.store, 'User', Map({id: -1})).size).to.equal(4);
+      expect(Account.current.getAllNew(this.store).size).to.equal(0);
+    });
+
+    it('leaves the store untouched when a step throws', function() {
+      let before = this.store;
+      let result = transaction(this.accessors, this.store, store => {
+        store = this.accessors.User.current.delete(store, 10);
+        return this.accessors.User.current.accept(store, 99, null);
+      });
+      expect(result.ok).to.be.false;
+      expect(result.store).to.equal(before);
+      expect(result.errors[0].rule).to.equal('exception');
+      expect(result.errors[0].error).to.be.an.instanceof(Error);
+      expect(this.accessors.User.deleted.getAll(before).size).to.equal(0);
+    });
+
+    it('updates a mutable copy in place, and returns an immutable store', function() {
+      let {Account, User} = this.accessors;
+      let steps = [];
+      let result = transaction(this.accessors, this.store, store => {
+        steps.push(store);
+        store = User.current.set(store, 10, Map({id: 10, account_id: 1, name: 'carol'}));
+        steps.push(store);
+        return User.current.create(store, {account_id: 1});
+      });
+      expect(result.ok).to.be.true;
+      expect(steps[0]).to.not.equal(this.store);
+      expect(steps[1]).to.equal(steps[0]);
+      expect(result.result.store).to.equal(steps[0]);
+      expect(User.current.get(this.store, 10).has('name')).to.be.false;
+      expect(result.store.set('_nextKey', 0)).to.not.equal(result.store);
+      expect(result.store.getIn(['current', 'User']).set(12, Map())).to.not.equal(result.store.getIn(['current', 'User']));
+      expect(result.store.getIn(['current', 'Account'])).to.equal(this.store.getIn(['current', 'Account']));
+      expect(result.store.get('initial')).to.equal(this.store.get('initial'));
+      expect(Account.children(result.store, 'User', Map({id: 1})).size).to.equal(3);
+    });
+
+    it('refuses invalid records and dangling foreign keys', function() {
+      let result = transaction(this.accessors, this.store, store => {
+        store = this.accessors.Account.current.set(store, 1, Map({id: 1}));
+        return this.accessors.User.current.create(store, {account_id: 7});
+      });
+      expect(result.ok).to.be.false;
+      expect(result.store).to.equal(this.store);
+      expect(result.errors.map(error => `${error.type} ${error.pk} ${error.field} ${error.rule}`)).to.deep.equal([
+        'Account 1 name required',
+        'User -1 Account foreignKey'
+      ]);
+    });
+  });
+
+  describe('#syncStore', function() {
+
+    let typedefs = {
+      Account: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          User: ['account_id']
+        }
+      },
+      User: {
+        key: ['id'],
+        foreignKeys: {
+          Account: ['account_id']
+        },
+        inverseForeignKeys: {}
+      }
+    };
+
+    let noWait = () => Promise.resolve();
+
+    beforeEach(function() {
+      this.accessors = entityTypeAccessors(typedefs);
+      let store = this.accessors.Account.initial.load(newStore(), [{id: 1, name: 'Acme'}, {id: 2, name: 'Globex'}]);
+      store = this.accessors.User.initial.load(store, [{id: 10, name: 'carol', account_id: 2}]);
+      this.container = new StoreContainer(this.accessors, store);
+      this.transport = mockTransport(this.accessors, {
+        Account: [{id: 1, name: 'Acme'}, {id: 2, name: 'Globex'}],
+        User: [{id: 10, name: 'carol', account_id: 2}]
+      });
+    });
+
+    it('sends pending changes in order and accepts the results', function() {
+      let {Account, User} = this.container.accessors;
+      let {pk} = Account.current.create({name: 'Initech'});
+      User.current.create({name: 'dave', account_id: pk});
+      Account.current.set(1, Map({id: 1, name: 'Renamed'}));
+      Account.current.delete(2);
+      return syncStore(this.accessors, this.container, this.transport, {wait: noWait}).then(report => {
+        let store = this.container.getStore();
+        expect(report.failed).to.deep.equal([]);
+        expect(this.transport.requests.map(op => `${op.action} ${op.type} ${op.pk}`)).to.deep.equal([
+          'create Account -1', 'update Account 1', 'delete User 10', 'delete Account 2', 'create User -2'
+        ]);
+        expect(this.transport.requests[4].payload.account_id).to.equal(1000);
+        expect(this.transport.requests[1].payload).to.deep.equal({name: 'Renamed'});
+        expect(this.accessors.Account.current.get(store, 1000).get('name')).to.equal('Initech');
+        expect(this.accessors.User.current.get(store, 1001).get('account_id')).to.equal(1000);
+        expect(this.accessors.Account.deleted.getAll(store).size).to.equal(0);
+        expect(planSync(this.accessors, store)).to.deep.equal([]);
+        expect(this.transport.records.Account[1].name).to.equal('Renamed');
+        expect(this.transport.records.Account[2]).to.be.undefined;
+      });
+    });
+
+    it('retries with backoff, then gives up and skips dependent batches', function() {
+      let delays = [];
+      let wait = ms => {
+        delays.push(ms);
+        return Promise.resolve();
+      };
+      let {pk} = this.container.accessors.Account.current.create({name: 'Initech'});
+      this.container.accessors.User.current.create({name: 'dave', account_id: pk});
+      this.transport.failNext(3);
+      return syncStore(this.accessors, this.container, this.transport, {retries: 2, delay: 10, wait}).then(report => {
+        let store = this.container.getStore();
+        expect(delays).to.deep.equal([10, 20]);
+        expect(report.failed.length).to.equal(1);
+        expect(report.failed[0].error.retryable).to.be.true;
+        expect(report.skipped.map(op => op.type)).to.deep.equal(['User']);
+        expect(this.accessors.Account.state(store, Map({id: -1}))).to.equal(ENTITY_STATE.NEW);
+        this.transport.failNext(1);
+        return syncStore(this.accessors, this.container, this.transport, {delay: 10, wait});
+      }).then(report => {
+        expect(report.failed).to.deep.equal([]);
+        expect(report.sent.length).to.equal(2);
+      });
+    });
+
+    it('rejects changes the server refuses', function() {
+      this.container.accessors.Account.current.set(1, Map({id: 1, name: ''}));
+      this.container.accessors.User.current.delete(10);
+      this.transport.failNext(2, false);
+      return syncStore(this.accessors, this.container, this.transport, {wait: noWait}).then(report => {
+        let store = this.container.getStore();
+        expect(report.failed.map(failure => failure.error.status)).to.deep.equal([400, 400]);
+        expect(this.transport.requests.length).to.equal(2);
+        expect(this.accessors.Account.current.get(store, 1).get('name')).to.equal('Acme');
+        expect(this.accessors.User.deleted.getAll(store).size).to.equal(0);
+      });
+    });
+
+    it('reports errors thrown while sending or accepting, and gives up the saves', function() {
+      let Account = this.accessors.Account;
+      let transport = {
+        send: operation => {
+          if (operation.action === 'update') {
+            throw new Error('cannot encode');
+          }
+          return this.transport.send(operation);
+        }
+      };
+      this.container.accessors.Account.current.set(1, Map({id: 1, name: 'Renamed'}));
+      return syncStore(this.accessors, this.container, transport, {wait: noWait}).then(report => {
+        let store = this.container.getStore();
+        expect(report.failed.map(failure => failure.error.message)).to.deep.equal(['cannot encode']);
+        expect(Account.current.getSaving(store, 1)).to.be.undefined;
+        expect(Account.state(store, Account.current.get(store, 1))).to.equal(ENTITY_STATE.MODIFIED);
+
+        let calls = 0;
+        let holder = {
+          getStore: () => this.container.getStore(),
+          setStore: next => {
+            if (++calls === 2) {
+              throw new Error('store is read-only');
+            }
+            this.container.setStore(next);
+          }
+        };
+        return syncStore(this.accessors, holder, this.transport, {wait: noWait});
+      }).then(report => {
+        let store = this.container.getStore();
+        expect(report.failed.map(failure => failure.error.message)).to.deep.equal(['store is read-only']);
+        expect(Account.current.getSaving(store, 1)).to.be.undefined;
+        expect(Account.state(store, Account.current.get(store, 1))).to.equal(ENTITY_STATE.MODIFIED);
+      });
+    });
+
+    it('keeps deletes made while a request is in flight', function() {
+      let transport = {
+        send: operation => {
+          this.container.accessors.Account.current.delete(1);
+          return this.transport.send(operation);
+        }
+      };
+      this.container.accessors.Account.current.set(1, Map({id: 1, name: 'Renamed'}));
+      return syncStore(this.accessors, this.container, transport, {wait: noWait}).then(report => {
+        let store = this.container.getStore();
+        expect(report.failed.map(failure => failure.error.message)).to.deep.equal([
+          'Account 1 was deleted or rejected while it was being saved'
+        ]);
+        expect(this.accessors.Account.state(store, this.accessors.Account.current.get(store, 1))).to.equal(ENTITY_STATE.DELETED);
+        expect(planSync(this.accessors, store)[0].map(op => `${op.action} ${op.type} ${op.pk}`)).to.deep.equal(['delete Account 1']);
+      });
+    });
+
+    it('keeps edits made while a request is in flight', function() {
+      let transport = {
+        send: operation => {
+          this.container.accessors.Account.current.set(1, Map({id: 1, name: 'Renamed', tier: 'paid'}));
+          return this.transport.send(operation);
+        }
+      };
+      this.container.accessors.Account.current.set(1, Map({id: 1, name: 'Renamed'}));
+      return syncStore(this.accessors, this.container, transport, {wait: noWait}).then(() => {
+        let store = this.container.getStore();
+        expect(this.accessors.Account.initial.get(store, 1).get('name')).to.equal('Renamed');
+        expect(this.accessors.Account.current.getChangedProperties(store, 1).toJS()).to.deep.equal({tier: 'paid'});
+      });
+    });
+
+    it('talks to REST APIs', function() {
+      let calls = [];
+      let respond = (status, body) => Promise.resolve({
+        ok: status < 400,
+        status,
+        text: () => Promise.resolve(body === undefined ? '' : JSON.stringify(body))
+      });
+      let responses = [respond(201, {id: 5, name: 'Initech'}), respond(503), Promise.reject(new Error('offline')), respond(404)];
+      let fetch = (url, init) => {
+        calls.push(`${init.method} ${url}${init.body ? ` ${init.body}` : ''}`);
+        return responses.shift();
+      };
+      let transport = restTransport(fetch, '/api', {paths: {Account: 'accounts'}});
+      return transport.send({action: 'create', type: 'Account', pk: -1, payload: {id: -1, name: 'Initech'}}).then(result => {
+        expect(result).to.deep.equal({id: 5, name: 'Initech'});
+        return transport.send({action: 'update', type: 'Account', pk: 5, payload: {name: 'x'}}).catch(error => error);
+      }).then(error => {
+        expect(error.retryable).to.be.true;
+        expect(error.status).to.equal(503);
+        return transport.send({action: 'delete', type: 'User', pk: 'a/b'}).catch(e => e);
+      }).then(error => {
+        expect(error.message).to.equal('DELETE /api/User/a%2Fb failed: offline');
+        expect(error.retryable).to.be.true;
+        return transport.send({action: 'delete', type: 'User', pk: 1}).catch(e => e);
+      }).then(error => {
+        expect(error.retryable).to.be.false;
+        expect(calls).to.deep.equal([
+          'POST /api/accounts {"id":-1,"name":"Initech"}',
+          'PATCH /api/accounts/5 {"name":"x"}',
+          'DELETE /api/User/a%2Fb',
+          'DELETE /api/User/1'
+        ]);
+      });
+    });
+  });
+
+  describe('#integrity', function() {
+
+    let typedefs = {
+      Account: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          User: ['account_id']
+        },
+        onDelete: {
+          User: 'setNull'
+        }
+      },
+      User: {
+        key: ['id'],
+        foreignKeys: {
+          Account: ['account_id']
+        },
+        inverseForeignKeys: {}
+      }
+    };
+
+    beforeEach(function() {
+      this.accessors = entityTypeAccessors(typedefs);
+      this.store = this.accessors.Account.initial.load(newStore(), [{id: 1}, {id: 2}]);
+      this.store = this.accessors.User.initial.load(this.store, [
+        {id: 10, account_id: 1},
+        {id: 11, account_id: 7},
+        {id: 12, account_id: null}
+      ]);
+    });
+
+    it('reports dangling keys, deleted parents and new parents by type and pk', function() {
+      let {Account, User} = this.accessors;
+      let store = Account.current.create(this.store, {}).store;
+      store = User.current.set(store, 12, Map({id: 12, account_id: -1}));
+      store = Account.current.delete(store, 2);
+      store = User.current.create(store, {account_id: 2}).store;
+      let problems = checkIntegrity(this.accessors, store);
+      expect(problems.keySeq().toJS()).to.deep.equal(['User']);
+      expect(problems.get('User').map(list => list.map(problem => problem.get('problem'))).toJS()).to.deep.equal({
+        11: [INTEGRITY_PROBLEM.DANGLING],
+        12: [INTEGRITY_PROBLEM.NEW_PARENT],
+        '-2': [INTEGRITY_PROBLEM.DELETED_PARENT]
+      });
+      expect(problems.getIn(['User', 11, 0]).toJS()).to.deep.equal({
+        relation: 'Account',
+        key: 7,
+        problem: 'dangling',
+        severity: 'error',
+        message: 'User 11 points at Account 7, which is not in the store'
+      });
+    });
+
+    it('asserts there are no errors', function() {
+      let store = this.accessors.User.current.delete(this.store, 11);
+      expect(assertIntegrity(this.accessors, store)).to.equal(store);
+      let error;
+      try {
+        assertIntegrity(this.accessors, this.store);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('Store integrity check failed: User 11 points at Account 7, which is not in the store');
+      expect(error.problems.getIn(['User', 11]).size).to.equal(1);
+    });
+  });
+
+  describe('#computed', function() {
+
+    let computeCalls;
+    let typedefs = {
+      Account: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          User: ['account_id']
+        },
+        computed: {
+          userCount: {
+            children: ['User'],
+            compute: (record, {User}) => {
+              computeCalls++;
+              return User.size;
+            }
+          }
+        }
+      },
+      User: {
+        key: ['id'],
+        foreignKeys: {
+          Account: ['account_id']
+        },
+        inverseForeignKeys: {},
+        computed: {
+          fullName: record => `${record.get('first')} ${record.get('last')}`,
+          label: {
+            parents: ['Account'],
+            compute: (record, {Account}) => `${record.get('first')} @ ${Account ? Account.get('name') : 'nowhere'}`
+          }
+        }
+      }
+    };
+
+    beforeEach(function() {
+      computeCalls = 0;
+      this.accessors = entityTypeAccessors(typedefs);
+      this.store = this.accessors.Account.initial.load(newStore(), [{id: 1, name: 'Acme'}, {id: 2, name: 'Globex'}]);
+      this.store = this.accessors.User.initial.load(this.store, [
+        {id: 10, first: 'Carol', last: 'Jones', account_id: 1},
+        {id: 11, first: 'Dave', last: 'Smith', account_id: 1}
+      ]);
+    });
+
+    it('computes fields from the record and its relations', function() {
+      let {Account, User} = this.accessors;
+      expect(User.current.getComputed(this.store, 10, 'fullName')).to.equal('Carol Jones');
+      expect(User.current.getComputed(this.store, 10, 'label')).to.equal('Carol @ Acme');
+      expect(Account.current.getComputed(this.store, 1, 'userCount')).to.equal(2);
+      let store = User.current.delete(this.store, 11);
+      expect(Account.current.getComputed(store, 1, 'userCount')).to.equal(1);
+      store = Account.current.set(store, 1, Map({id: 1, name: 'Renamed'}));
+      expect(User.current.getComputed(store, 10, 'label')).to.equal('Carol @ Renamed');
+      expect(User.current.getComputed(store, 99, 'fullName')).to.be.undefined;
+      expect(() => User.current.getComputed(store, 10, 'age')).to.throw('User has no computed field age');
+    });
+
+    it('caches values until their inputs change', function() {
+      let {Account, User} = this.accessors;
+      Account.current.getComputed(this.store, 1, 'userCount');
+      let store = Account.current.set(this.store, 2, Map({id: 2, name: 'Initech'}));
+      store = User.current.create(store, {first: 'Erin', account_id: 2}).store;
+      expect(Account.current.getComputed(store, 1, 'userCount')).to.equal(2);
+      expect(computeCalls).to.equal(1);
+      store = User.current.set(store, 10, Map({id: 10, first: 'Caroline', last: 'Jones', account_id: 1}));
+      expect(Account.current.getComputed(store, 1, 'userCount')).to.equal(2);
+      expect(computeCalls).to.equal(2);
+    });
+
+    it('never stores computed values', function() {
+      let {User} = this.accessors;
+      User.current.getComputed(this.store, 10, 'fullName');
+      expect(User.current.get(this.store, 10).has('fullName')).to.be.false;
+      expect(User.current.getAllChanged(this.store).size).to.equal(0);
+      expect(() => entityTypeAccessors({
+        Tag: {key: ['id'], foreignKeys: {}, inverseForeignKeys: {}, computed: {n: {children: ['Post'], compute: () => 0}}}
+      })).to.throw('Computed field Tag.n reads Post, which is not a related type');
+    });
+  });
+
+  describe('#defaults', function() {
+
+    let typedefs = {
+      Account: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          User: ['account_id']
+        },
+        defaults: {
+          currency: 'EUR',
+          tags: []
+        }
+      },
+      User: {
+        key: ['id'],
+        foreignKeys: {
+          Account: ['account_id']
+        },
+        inverseForeignKeys: {},
+        defaults: {
+          role: 'member',
+          created_at: () => 42,
+          currency: (record, {parents}) => (parents.Account ? parents.Account.get('currency') : 'USD'),
+          label: record => `${record.get('role')} in ${record.get('currency')}`,
+          prefs: () => ({theme: 'dark'}),
+          nickname: () => undefined
+        }
+      }
+    };
+
+    beforeEach(function() {
+      this.accessors = entityTypeAccessors(typedefs);
+      this.store = this.accessors.Account.initial.load(newStore(), [{id: 1, currency: 'GBP'}]);
+    });
+
+    it('fills in missing fields when creating records', function() {
+      let {Account, User} = this.accessors;
+      let created = Account.current.create(this.store, {name: 'New'});
+      expect(created.record.get('currency')).to.equal('EUR');
+      expect(is(created.record.get('tags'), fromJS([]))).to.be.true;
+      created = User.current.create(created.store, {role: 'admin', account_id: 1});
+      expect(created.record.toJS()).to.deep.equal({
+        id: created.pk, role: 'admin', account_id: 1, created_at: 42, currency: 'GBP', label: 'admin in GBP',
+        prefs: {theme: 'dark'}
+      });
+      expect(Map.isMap(created.record.get('prefs'))).to.be.true;
+      expect(created.record.has('nickname')).to.be.false;
+      expect(User.current.create(created.store, {}).record.get('currency')).to.equal('USD');
+      expect(Account.initial.load(created.store, [{id: 2}]).getIn(['current', 'Account', 2]).has('currency')).to.be.false;
+    });
+
+    it('creates children with their foreign key set', function() {
+      let {Account} = this.accessors;
+      let {store, pk, record} = createChild(this.accessors, this.store, 'Account', 1, 'User', {name: 'Carol'});
+      expect(record.get('account_id')).to.equal(1);
+      expect(record.get('currency')).to.equal('GBP');
+      expect(Account.children(store, 'User', Account.current.get(store, 1)).keySeq().toArray()).to.deep.equal([pk]);
+      expect(() => createChild(this.accessors, store, 'User', pk, 'Account', {})).to.throw('User has no children of type Account');
+      expect(() => createChild(this.accessors, store, 'Account', 9, 'User', {})).to.throw('Cannot create User under Account 9, it is not a current record');
+    });
+
+    it('fills in defaults in Redux create actions', function() {
+      let action = entityTypeActions(this.accessors).User.current.create(this.store, {account_id: 1});
+      expect(action.payload.record.currency).to.equal('GBP');
+      expect(action.payload.record.created_at).to.equal(42);
+    });
+  });
+
+  describe('#typedefs', function() {
+
+    let typedefs = {
+      User: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          authoredPosts: {type: 'Post', foreignKey: 'author'},
+          editedPosts: {type: 'Post', foreignKey: 'editor'}
+        },
+        onDelete: {
+          editedPosts: 'setNull'
+        }
+      },
+      Post: {
+        key: ['id'],
+        foreignKeys: {
+          author: {type: 'User', key: ['author_id']},
+          editor: {type: 'User', key: ['editor_id']}
+        },
+        inverseForeignKeys: {}
+      }
+    };
+
+    beforeEach(function() {
+      this.accessors = entityTypeAccessors(typedefs);
+      this.store = this.accessors.User.initial.load(newStore(), [{id: 1, name: 'Ann'}, {id: 2, name: 'Bob'}]);
+      this.store = this.accessors.Post.initial.load(this.store, [
+        {id: 10, author_id: 1, editor_id: 2},
+        {id: 11, author_id: 2, editor_id: 2}
+      ]);
+    });
+
+    it('rejects inconsistent typedefs', function() {
+      const check = (defs, message) => expect(() => entityTypeAccessors(defs)).to.throw(message);
+      check({
+        Account: {key: ['id'], foreignKeys: {}, inverseForeignKeys: {Usr: ['account_id']}}
+      }, 'Account.inverseForeignKeys.Usr refers to unknown type Usr');
+      check({
+        Account: {key: ['id'], foreignKeys: {}, inverseForeignKeys: {}},
+        User: {key: ['id'], foreignKeys: {Account: ['account_id']}, inverseForeignKeys: {}}
+      }, 'User.foreignKeys.Account has no matching inverseForeignKeys entry on Account');
+      check({
+        Account: {key: ['id'], foreignKeys: {}, inverseForeignKeys: {User: ['account_id']}},
+        User: {key: ['id'], foreignKeys: {}, inverseForeignKeys: {}}
+      }, 'Account.inverseForeignKeys.User has no matching foreignKeys entry Account on User');
+      check({
+        Account: {key: ['id'], foreignKeys: {}, inverseForeignKeys: {User: ['acct_id']}},
+        User: {key: ['id'], foreignKeys: {Account: ['account_id']}, inverseForeignKeys: {}}
+      }, 'Account.inverseForeignKeys.User is ["acct_id"], but User.foreignKeys.Account is ["account_id"]');
+      check({
+        Account: {key: ['id'], foreignKeys: {}, inverseForeignKeys: {}, onDelete: {User: 'cascade'}}
+      }, 'Account.onDelete.User is not an inverseForeignKeys relation');
+      check({Account: {foreignKeys: {}, inverseForeignKeys: {}}}, 'Account needs a primary key keypath');
+    });
+
+    it('infers missing halves of relations', function() {
+      let {Account, User, Team} = entityTypeAccessors({
+        Account: {key: ['id'], foreignKeys: {}, inverseForeignKeys: {Team: ['account_id']}},
+        Team: {key: ['id']},
+        User: {key: ['id'], foreignKeys: {Account: ['account_id'], lead: {type: 'Team', key: ['lead_of'], inverse: 'leads'}}}
+      }, {infer: true});
+      expect(Account.inverseForeignKeys).to.deep.equal({Team: ['account_id'], User: ['account_id']});
+      expect(Team.foreignKeys).to.deep.equal({Account: ['account_id']});
+      expect(Team.inverseForeignKeys).to.deep.equal({leads: ['lead_of']});
+      expect(Team.inverseRelations).to.deep.equal({leads: 'lead'});
+      expect(User.relationTypes).to.deep.equal({Account: 'Account', lead: 'Team'});
+    });
+
+    it('links through join types with named relations', function() {
+      let joinTypedefs = joinKeys => ({
+        Post: {key: ['id'], manyToMany: {Tag: {through: 'PostTag'}}},
+        Tag: {key: ['id'], manyToMany: {Post: {through: 'PostTag'}}},
+        PostTag: {key: ['id'], foreignKeys: joinKeys}
+      });
+      let {Post, Tag, PostTag} = entityTypeAccessors(joinTypedefs({
+        post: {type: 'Post', key: ['post_id']},
+        tag: {type: 'Tag', key: ['tag_id']}
+      }), {infer: true});
+      let store = Post.initial.load(newStore(), [{id: 1}]);
+      store = Tag.initial.load(store, [{id: 5}, {id: 6}]);
+      let post = Post.current.get(store, 1);
+      store = Post.links.link(store, 'Tag', post, 5);
+      store = Tag.links.link(store, 'Post', Tag.current.get(store, 6), 1);
+      expect(Post.links.keys(store, 'Tag', post).toArray()).to.deep.equal([5, 6]);
+      expect(Tag.links.keys(store, 'Post', Tag.current.get(store, 5)).toArray()).to.deep.equal([1]);
+      store = Post.links.unlink(store, 'Tag', post, 5);
+      expect(Post.links.keys(store, 'Tag', post).toArray()).to.deep.equal([6]);
+      expect(PostTag.current.getAll(store).size).to.equal(1);
+
+      expect(() => entityTypeAccessors(joinTypedefs({
+        post: {type: 'Post', key: ['post_id']},
+        original: {type: 'Post', key: ['original_id']},
+        tag: {type: 'Tag', key: ['tag_id']}
+      }), {infer: true})).to.throw('Post.manyToMany.Tag goes through PostTag, which needs exactly one foreign key to Post, not 2');
+      expect(() => entityTypeAccessors(joinTypedefs({
+        post: {type: 'Post', key: ['post_id']}
+      }), {infer: true})).to.throw('Post.manyToMany.Tag goes through PostTag, which needs exactly one foreign key to Tag, not 0');
+    });
+
+    it('follows named relations', function() {
+      let {User, Post} = this.accessors;
+      let ann = User.current.get(this.store, 1);
+      let bob = User.current.get(this.store, 2);
+      expect(Post.parents(this.store, 'editor', Post.current.get(this.store, 10)).keySeq().toArray()).to.deep.equal([2]);
+      expect(User.children(this.store, 'authoredPosts', ann).keySeq().toArray()).to.deep.equal([10]);
+      expect(User.children(this.store, 'editedPosts', bob).keySeq().toArray()).to.deep.equal([10, 11]);
+      expect(User.query(this.store).whereRelated('editedPosts', posts => posts.where('id', 10)).run().keySeq().toArray())
+        .to.deep.equal([2]);
+      expect(entityTypeSelectors(this.accessors).User.children(this.store, 'authoredPosts', 2).keySeq().toArray())
+        .to.deep.equal([11]);
+    });
+
+    it('cascades and propagates keys along named relations', function() {
+      let {User, Post} = this.accessors;
+      let {store, pk} = User.current.create(this.store, {name: 'Cat'});
+      store = Post.current.create(store, {id: 12, author_id: 1, editor_id: pk}).store;
+      store = User.current.accept(store, pk, {id: 3, name: 'Cat'});
+      expect(Post.current.get(store, 12).toJS()).to.deep.equal({id: 12, author_id: 1, editor_id: 3});
+
+      store = User.current.delete(store, 2);
+      expect(Post.deleted.get(store, 11)).to.be.ok;
+      expect(Post.current.get(store, 10).get('editor_id')).to.equal(null);
+      expect(Post.deleted.get(store, 10)).to.be.undefined;
+      store = User.current.reject(store, 2);
+      expect(Post.current.get(store, 10).get('editor_id')).to.equal(2);
+      expect(Post.deleted.get(store, 11)).to.be.undefined;
+    });
+  });
+
+  describe('#polymorphic', function() {
+
+    let typedefs = {
+      Post: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          comments: {type: 'Comment', foreignKey: 'subject'}
+        }
+      },
+      Photo: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          comments: {type: 'Comment', foreignKey: 'subject'}
+        },
+        onDelete: {
+          comments: 'setNull'
+        }
+      },
+      Comment: {
+        key: ['id'],
+        foreignKeys: {
+          subject: {types: ['Post', 'Photo'], key: ['subject_id'], typeKey: ['subject_type']}
+        },
+        inverseForeignKeys: {}
+      }
+    };
+
+    beforeEach(function() {
+      this.accessors = entityTypeAccessors(typedefs);
+      let {Post, Photo, Comment} = this.accessors;
+      this.store = Post.initial.load(newStore(), [{id: 1, title: 'Hello'}]);
+      this.store = Photo.initial.load(this.store, [{id: 1, url: 'a.png'}]);
+      this.store = Comment.initial.load(this.store, [
+        {id: 10, subject_type: 'Post', subject_id: 1},
+        {id: 11, subject_type: 'Photo', subject_id: 1},
+        {id: 12, subject_type: 'Photo', subject_id: 1}
+      ]);
+    });
+
+    it('resolves the parent type from the record', function() {
+      let {Post, Photo, Comment} = this.accessors;
+      let comment = Comment.current.get(this.store, 11);
+      expect(Comment.foreignKey.getType(comment, 'subject')).to.equal('Photo');
+      expect(Comment.relatedType('subject', comment)).to.equal(Photo);
+      expect(Comment.parents(this.store, 'subject', comment).first().get('url')).to.equal('a.png');
+      expect(Post.children(this.store, 'comments', Post.current.get(this.store, 1)).keySeq().toArray()).to.deep.equal([10]);
+      expect(Photo.children(this.store, 'comments', Photo.current.get(this.store, 1)).keySeq().toArray()).to.deep.equal([11, 12]);
+      expect(Post.denormalize(this.store, 1, {toJS: true}).comments).to.deep.equal([{id: 10, subject_type: 'Post', subject_id: 1}]);
+      expect(entityTypeSelectors(this.accessors).Photo.children(this.store, 'comments', 1).size).to.equal(2);
+      expect(Post.query(this.store).whereRelated('comments', q => q.where('id', 11)).run().size).to.equal(0);
+      expect(Photo.query(this.store).whereRelated('comments', q => q.where('id', 11)).run().keySeq().toArray()).to.deep.equal([1]);
+    });
+
+    it('loads embedded children with the parent type', function() {
+      let accessors = entityTypeAccessors(Object.assign({}, typedefs, {
+        Post: Object.assign({}, typedefs.Post, {embedded: {comments: ['comments']}})
+      }));
+      let {Post, Comment} = accessors;
+      let store = loadNormalized(accessors, newStore(), 'Post', {id: 5, comments: [{id: 20}]}).store;
+      expect(Comment.current.get(store, 20).toJS()).to.deep.equal({id: 20, subject_id: 5, subject_type: 'Post'});
+      expect(Post.children(store, 'comments', Post.current.get(store, 5)).keySeq().toArray()).to.deep.equal([20]);
+    });
+
+    it('cascades deletes to the parent type\'s children only', function() {
+      let {Post, Photo, Comment} = this.accessors;
+      let store = Post.current.delete(this.store, 1);
+      expect(Comment.deleted.get(store, 10)).to.be.ok;
+      expect(Comment.deleted.get(store, 11)).to.be.undefined;
+      store = Photo.current.delete(store, 1);
+      expect(Comment.current.get(store, 11).get('subject_id')).to.equal(null);
+      store = Photo.current.reject(store, 1);
+      expect(Comment.current.get(store, 12).get('subject_id')).to.equal(1);
+    });
+
+    it('propagates accepted keys to children of every parent type', function() {
+      let {Photo, Comment} = this.accessors;
+      let {store, pk} = Photo.current.create(this.store, {url: 'b.png'});
+      let created = createChild(this.accessors, store, 'Photo', pk, 'Comment', {body: 'nice'});
+      expect(created.record.get('subject_type')).to.equal('Photo');
+      expect(planSync(this.accessors, created.store).map(batch => batch.map(op => op.type))).to.deep.equal([['Photo'], ['Comment']]);
+      store = Photo.current.accept(created.store, pk, {id: 2, url: 'b.png'});
+      expect(Comment.current.get(store, created.pk).get('subject_id')).to.equal(2);
+      expect(Photo.children(store, 'comments', Photo.current.get(store, 2)).keySeq().toArray()).to.deep.equal([created.pk]);
+      expect(Photo.children(store, 'comments', Photo.current.get(store, 1)).size).to.equal(2);
+    });
+
+    it('checks the types of polymorphic relations', function() {
+      let {Comment} = this.accessors;
+      let store = Comment.current.create(this.store, {subject_type: 'Video', subject_id: 1}).store;
+      expect(checkIntegrity(this.accessors, store).get('Comment').first().first().get('message'))
+        .to.match(/points at subject 1 of unknown type Video/);
+      expect(() => entityTypeAccessors({
+        Post: typedefs.Post,
+        Photo: {key: ['id'], foreignKeys: {}, inverseForeignKeys: {}},
+        Comment: typedefs.Comment
+      })).to.throw('Comment.foreignKeys.subject has no matching inverseForeignKeys entry on Photo');
+      expect(() => this.accessors.Comment.query(this.store).whereRelated('subject', q => q))
+        .to.throw('Cannot query across the polymorphic relation Comment.subject');
+    });
+  });
+
+  describe('#summary', function() {
+
+    let typedefs = {
+      Account: {
+        key: ['id'],
+        foreignKeys: {},
+        inverseForeignKeys: {
+          User: ['account_id']
+        }
+      },
+      User: {
+        key: ['id'],
+        foreignKeys: {
+          Account: ['account_id']
+        },
+        inverseForeignKeys: {}
+      }
+    };
+
+    beforeEach(function() {
+      this.accessors = entityTypeAccessors(typedefs);
+      this.summary = summarySelectors(this.accessors);
+      this.store = this.accessors.Account.initial.load(newStore(), [{id: 1, name: 'Acme'}]);
+      this.store = this.accessors.User.initial.load(this.store, [
+        {id: 10, name: 'Carol', account_id: 1},
+        {id: 11, name: 'Dave', account_id: 1},
+        {id: 12, name: 'Erin', account_id: 1}
+      ]);
+    });
+
+    it('lists the keys and counts of records in each state', function() {
+      let {User} = this.accessors;
+      expect(this.summary.isDirty(this.store)).to.be.false;
+      expect(this.summary.getPendingTypes(this.store).toArray()).to.deep.equal([]);
+      let {store, pk} = User.current.create(this.store, {name: 'Frank', account_id: 1});
+      store = User.current.set(store, 10, Map({id: 10, name: 'Caroline', account_id: 1}));
+      store = User.current.delete(store, 11);
+      store = User.current.beginSave(store, 12).store;
+      expect(this.summary.getKeys(store).get('User').toJS()).to.deep.equal({
+        NEW: [pk], MODIFIED: [10], DELETED: [11], SAVING: [12], UNCHANGED: []
+      });
+      expect(this.summary.getCounts(store).get('Account').toJS()).to.deep.equal({
+        NEW: 0, MODIFIED: 0, DELETED: 0, SAVING: 0, UNCHANGED: 1
+      });
+      expect(this.summary.getPendingTypes(store).toArray()).to.deep.equal(['User']);
+      expect(this.summary.isDirty(store)).to.be.true;
+    });
+
+    it('only recounts types whose buckets changed', function() {
+      let {Account} = this.accessors;
+      let before = this.summary.getKeys(this.store);
+      expect(this.summary.getKeys(this.store)).to.equal(before);
+      let store = Account.current.set(this.store, 1, Map({id: 1, name: 'Renamed'}));
+      let after = this.summary.getKeys(store);
+      expect(after).not.to.equal(before);
+      expect(after.get('User')).to.equal(before.get('User'));
+      expect(after.getIn(['Account', ENTITY_STATE.MODIFIED]).toArray()).to.deep.equal([1]);
+    });
+
+    it('reports unknown keys as a state', function() {
+      expect(this.accessors.User.state(this.store, Map({id: 99}))).to.equal(ENTITY_STATE.UNKNOWN);
+    });
   });
 });
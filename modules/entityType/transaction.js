@@ -0,0 +1,165 @@
+import { Map } from 'immutable';
+import { diffStores } from './container';
+import { checkRecordIntegrity } from './integrity';
+
+/**
+ * Check the records changed by a transaction: current records must pass
+ * validation, and their foreign keys must point at current, undeleted records
+ * (see `checkRecordIntegrity`).
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @param  {Immutable.Map} store - The store after the transaction.
+ * @param  {Array<Object>} changes - The changes made, as listed by `diffStores`.
+ * @return {Array<Object>} - The problems found, as `{type, pk, field, rule, message}`.
+ */
+function checkChanges(accessors, store, changes) {
+  let errors = [];
+  let seen = {};
+  changes.forEach(({type, pk, bucket}) => {
+    const entityType = accessors[type];
+    const record = entityType.current.get(store, pk);
+    if (bucket !== 'current' || seen[`${type}:${pk}`] || !record || entityType.deleted.get(store, pk)) {
+      return;
+    }
+    seen[`${type}:${pk}`] = true;
+    entityType.current.validate(store, pk).forEach((fieldErrors, field) => {
+      fieldErrors.forEach(error => {
+        errors.push({type, pk, field, rule: error.get('rule'), message: error.get('message')});
+      });
+    });
+    checkRecordIntegrity(entityType, store, pk)
+      .filter(problem => problem.get('severity') === 'error')
+      .forEach(problem => {
+        errors.push({type, pk, field: problem.get('relation'), rule: 'foreignKey', message: problem.get('message')});
+      });
+  });
+  return errors;
+}
+
+/**
+ * Sum up the changes made by a transaction, as lists of the primary keys of
+ * the records created, updated and deleted, by type. A record created and
+ * deleted within the transaction doesn't appear.
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @param  {Immutable.Map} prev - The store before the transaction.
+ * @param  {Immutable.Map} next - The store after the transaction.
+ * @param  {Array<Object>} changes - The changes made, as listed by `diffStores`.
+ * @return {Object<String, Object>} - Type names mapped to `{created, updated, deleted}`.
+ * Types without changes are omitted.
+ */
+function summarize(accessors, prev, next, changes) {
+  let summary = {};
+  let seen = {};
+  changes.forEach(({type, pk}) => {
+    if (seen[`${type}:${pk}`]) {
+      return;
+    }
+    seen[`${type}:${pk}`] = true;
+    const entityType = accessors[type];
+    const wasCurrent = !!entityType.current.get(prev, pk);
+    const isCurrent = !!entityType.current.get(next, pk);
+    let kind = 'updated';
+    if (!wasCurrent && isCurrent) {
+      kind = 'created';
+    } else if ((wasCurrent && !isCurrent) || (!entityType.deleted.get(prev, pk) && entityType.deleted.get(next, pk))) {
+      kind = 'deleted';
+    }
+    summary[type] = summary[type] || {created: [], updated: [], deleted: []};
+    summary[type][kind].push(pk);
+  });
+  return summary;
+}
+
+/**
+ * Copy a store so that it can be updated in place, as within `withMutations`.
+ * `withMutations` only makes the outer map mutable, while accessors write two
+ * levels down, to a type's map in a bucket; so the buckets and their type maps
+ * are made mutable too.
+ * @param  {Immutable.Map} store - The object store.
+ * @return {Immutable.Map} - A mutable copy; the given store is not modified.
+ */
+function asMutableStore(store) {
+  let mutable = store.asMutable();
+  store.forEach((bucket, name) => {
+    if (Map.isMap(bucket)) {
+      let types = bucket.asMutable();
+      bucket.forEach((byType, type) => {
+        types.set(type, Map.isMap(byType) ? byType.asMutable() : byType);
+      });
+      mutable.set(name, types);
+    }
+  });
+  return mutable;
+}
+
+/**
+ * Make a store built with `asMutableStore` immutable again. Maps holding the
+ * same values as before the transaction are swapped back for the originals, so
+ * that they keep their identity for `diffStores` and memoized selectors.
+ * @param  {Immutable.Map} prev - The store before the transaction.
+ * @param  {Immutable.Map} next - The store returned by the transaction.
+ * @return {Immutable.Map} - An immutable store.
+ */
+function asImmutableStore(prev, next) {
+  const settle = (before, after) => {
+    after = after.asImmutable();
+    return Map.isMap(before) && before.size === after.size && after.every((value, key) => before.get(key) === value) ?
+      before :
+      after;
+  };
+  const buckets = next.map((bucket, name) => (Map.isMap(bucket) ?
+    settle(prev.get(name), bucket.map((byType, type) => (Map.isMap(byType) ? settle(prev.getIn([name, type]), byType) : byType))) :
+    bucket
+  ));
+  return settle(prev, buckets);
+}
+
+/**
+ * Run several accessor calls as one all-or-nothing update.
+ *
+ * `fn` is given a mutable copy of the store, so that a long sequence of calls
+ * updates it in place rather than copying the store's maps at each step. Pass
+ * it through accessor calls as usual, and return the result. Since the copy is
+ * updated in place, earlier references to it see later changes: don't keep
+ * them to compare with, or give them to memoized selectors, within `fn`. The
+ * store passed in is left as it was whatever `fn` does, and the store returned
+ * is immutable again. When `fn` returns, every
+ * record it changed is checked: current records must pass validation (see the
+ * typedefs' `fields`), and their foreign keys must point at current, undeleted
+ * records.
+ *
+ *   const result = transaction(accessors, store, store => {
+ *     const created = accessors.Account.current.create(store, {name: 'new'});
+ *     return accessors.User.current.create(created.store, {account_id: created.pk}).store;
+ *   });
+ *   if (result.ok) {
+ *     store = result.store;
+ *   }
+ *
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors.
+ * @param  {Immutable.Map} store - The current object store.
+ * @param  {Function} fn - Takes the store, and returns an updated copy or an
+ * object with a `store` key.
+ * @return {Object} - If the transaction succeeded, `{ok: true, store, result,
+ * summary, changes}`, where `result` is what `fn` returned, `summary` maps type
+ * names to the primary keys `created`, `updated` and `deleted`, and `changes`
+ * lists each changed record as `diffStores` does. Otherwise `{ok: false, store,
+ * errors}`, where `store` is the original store and `errors` lists the problems
+ * as `{type, pk, field, rule, message}`; if `fn` threw, there is a single
+ * error with the `exception` rule, and the thrown value as `error`.
+ */
+export function transaction(accessors, store, fn) {
+  let result;
+  let next;
+  try {
+    result = fn(asMutableStore(store));
+    next = asImmutableStore(store, Map.isMap(result) ? result : result.store);
+  } catch (error) {
+    return {ok: false, store, errors: [{rule: 'exception', message: error.message, error}]};
+  }
+  const changes = diffStores(accessors, store, next);
+  const errors = checkChanges(accessors, next, changes);
+  if (errors.length) {
+    return {ok: false, store, errors};
+  }
+  return {ok: true, store: next, result, summary: summarize(accessors, store, next, changes), changes};
+}
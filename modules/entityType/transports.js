@@ -0,0 +1,124 @@
+import { SYNC_ACTION } from './sync';
+
+/**
+ * Build the error for a failed request. Server errors, timeouts and rate
+ * limiting are worth retrying; other client errors are refusals.
+ * @param  {String} message - What failed.
+ * @param  {Number} [status] - The HTTP status, if there was a response.
+ * @return {Error} - The error, with `status` and `retryable` properties.
+ */
+function requestError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = status === undefined || status >= 500 || status === 408 || status === 429;
+  return error;
+}
+
+/**
+ * A transport for `syncStore` which talks to a JSON REST API:
+ * - creates are `POST`ed to `{baseUrl}/{path}`
+ * - updates are `PATCH`ed to `{baseUrl}/{path}/{pk}`, with only the changed properties
+ * - deletes are sent as `DELETE {baseUrl}/{path}/{pk}`
+ *
+ * Responses to creates and updates should hold the saved record; empty
+ * responses are taken to mean the record was saved as sent. The `fetch`
+ * function is passed in so that tests and older browsers can supply their own.
+ * @param  {Function} fetch - A function implementing the Fetch API, e.g. `window.fetch`.
+ * @param  {String} baseUrl - The API root, without a trailing slash.
+ * @param  {Object<String, String>} [options.paths] - Entity type names mapped to
+ * their path under `baseUrl`; the type name is used by default.
+ * @param  {Object<String, String>} [options.headers] - Extra request headers, e.g.
+ * for authentication.
+ * @return {Object} - A transport, with a `send` method.
+ */
+export function restTransport(fetch, baseUrl, {paths = {}, headers = {}} = {}) {
+  const methods = {
+    [SYNC_ACTION.CREATE]: 'POST',
+    [SYNC_ACTION.UPDATE]: 'PATCH',
+    [SYNC_ACTION.DELETE]: 'DELETE'
+  };
+  return {
+    send: ({action, type, pk, payload}) => {
+      const path = `${baseUrl}/${paths[type] || type}`;
+      const url = action === SYNC_ACTION.CREATE ? path : `${path}/${encodeURIComponent(pk)}`;
+      const method = methods[action];
+      const init = {method, headers: Object.assign({'Content-Type': 'application/json'}, headers)};
+      if (action !== SYNC_ACTION.DELETE) {
+        init.body = JSON.stringify(payload);
+      }
+      return fetch(url, init).then(
+        response => {
+          if (!response.ok) {
+            throw requestError(`${method} ${url} failed with status ${response.status}`, response.status);
+          }
+          return response.status === 204 ? undefined : response.text().then(text => (text ? JSON.parse(text) : undefined));
+        },
+        error => {
+          throw requestError(`${method} ${url} failed: ${error.message}`);
+        }
+      );
+    }
+  };
+}
+
+/**
+ * A transport for `syncStore` backed by an in-memory server, to run the whole
+ * sync flow offline in tests and demos. The server assigns keys to created
+ * records from a counter, refuses updates and deletes of records it doesn't
+ * hold, and can be told to fail the next requests.
+ *
+ *   const transport = mockTransport(accessors, {Account: [{id: 1, name: 'Acme'}]});
+ *   transport.failNext(2);  // the next two requests fail, and are retried
+ *   transport.records.Account[1]  // the server's copy
+ *
+ * @param  {Object<String, EntityType>} accessors - The store's entity type accessors,
+ * used to read and write primary keys.
+ * @param  {Object<String, Array<Object>>} [records] - Type names mapped to the
+ * records the server starts with.
+ * @param  {Number} [options.nextKey] - The first key handed out to created records.
+ * @return {Object} - A transport, with a `send` method, the server's `records`
+ * by type and primary key, the `requests` received, and `failNext(count, retryable)`.
+ */
+export function mockTransport(accessors, records = {}, {nextKey = 1000} = {}) {
+  let failures = [];
+  const transport = {
+    records: {},
+    requests: [],
+    failNext: (count, retryable = true) => {
+      for (let i = 0; i < count; i++) {
+        failures.push(retryable);
+      }
+    },
+    send: operation => Promise.resolve().then(() => {
+      const {action, type, pk, payload} = operation;
+      const entityType = accessors[type];
+      transport.records[type] = transport.records[type] || {};
+      const saved = transport.records[type];
+      transport.requests.push(operation);
+      if (failures.length) {
+        throw requestError(`Mock ${action} ${type} ${pk} failed`, failures.shift() ? 503 : 400);
+      }
+      if (action === SYNC_ACTION.CREATE) {
+        const record = entityType.withKey(entityType.raise(payload), nextKey++);
+        saved[entityType.keyFor(record)] = record.toJS();
+        return record.toJS();
+      }
+      if (!saved.hasOwnProperty(pk)) {
+        throw requestError(`Mock ${action} ${type} ${pk} failed, no such record`, 404);
+      }
+      if (action === SYNC_ACTION.DELETE) {
+        delete saved[pk];
+        return undefined;
+      }
+      saved[pk] = Object.assign({}, saved[pk], payload);
+      return saved[pk];
+    })
+  };
+  Object.keys(records).forEach(type => {
+    transport.records[type] = {};
+    records[type].forEach(record => {
+      transport.records[type][accessors[type].keyFor(accessors[type].raise(record))] = record;
+    });
+  });
+  return transport;
+}
@@ -0,0 +1,241 @@
+/**
+ * Read a `foreignKeys` entry. Entries are either a keypath, for a relation
+ * named after the related type, or `{type, key}` for a named relation, e.g.
+ * `author: {type: 'User', key: ['author_id']}`. Named entries may also give the
+ * name of the matching inverse relation on the related type, as `inverse`.
+ *
+ * A polymorphic relation, which can point at records of several types, is
+ * declared as `{types, key, typeKey}`, where `typeKey` is the keypath to the
+ * name of the related record's type, e.g.
+ * `subject: {types: ['Post', 'Photo'], key: ['subject_id'], typeKey: ['subject_type']}`.
+ * @param  {String} relName - The relation name.
+ * @param  {Array<String>|Object} entry - The entry.
+ * @return {Object} - The relation, as `{type, types, key, typeKey, inverse}`;
+ * `type` is `undefined` for polymorphic relations.
+ */
+export function foreignKeySpec(relName, entry) {
+  if (Array.isArray(entry)) {
+    return {type: relName, types: [relName], key: entry, typeKey: undefined, inverse: undefined};
+  }
+  if (entry.typeKey) {
+    return {type: undefined, types: entry.types || [], key: entry.key, typeKey: entry.typeKey, inverse: entry.inverse};
+  }
+  return {type: entry.type, types: [entry.type], key: entry.key, typeKey: undefined, inverse: entry.inverse};
+}
+
+/**
+ * Read an `inverseForeignKeys` entry. Entries are either a keypath, for a
+ * relation named after the related type and matching its foreign key named
+ * after this type, or `{type, foreignKey}` for a named relation, where
+ * `foreignKey` names the matching relation in the related type's `foreignKeys`,
+ * e.g. `authoredPosts: {type: 'Post', foreignKey: 'author'}`. The keypath of a
+ * named entry can be left out, and is then read from the related type.
+ * @param  {String} relName - The relation name.
+ * @param  {Array<String>|Object} entry - The entry.
+ * @param  {String} name - The name of the type declaring the entry.
+ * @return {Object} - The relation, as `{type, foreignKey, key}`.
+ */
+export function inverseForeignKeySpec(relName, entry, name) {
+  if (Array.isArray(entry)) {
+    return {type: relName, foreignKey: name, key: entry};
+  }
+  return {type: entry.type, foreignKey: entry.foreignKey || name, key: entry.key};
+}
+
+/**
+ * Write a keypath as it appears in error messages.
+ * @param  {Array<String>|Array<Array<String>>} path - The keypath.
+ * @return {String}
+ */
+function showPath(path) {
+  return JSON.stringify(path);
+}
+
+/**
+ * Find the inverse of a foreign key relation on the parent type.
+ * @param  {Object} parent - The parent's typedef.
+ * @param  {String} parentName - The parent type's name.
+ * @param  {String} childName - The child type's name.
+ * @param  {String} relName - The name of the foreign key relation on the child.
+ * @return {String|undefined} - The name of the inverse relation, if any.
+ */
+function findInverse(parent, parentName, childName, relName) {
+  const inverseForeignKeys = parent.inverseForeignKeys || {};
+  return Object.keys(inverseForeignKeys).filter(inverseName => {
+    const spec = inverseForeignKeySpec(inverseName, inverseForeignKeys[inverseName], parentName);
+    return spec.type === childName && spec.foreignKey === relName;
+  })[0];
+}
+
+/**
+ * Fill in the relations a typedef leaves to be inferred: an `inverseForeignKeys`
+ * entry for each foreign key pointing at the type, and a `foreignKeys` entry for
+ * each inverse foreign key pointing at a type which doesn't declare it. Inferred
+ * inverses of named relations take the name given as the relation's `inverse`,
+ * or the name of the child type.
+ * @param  {Object} typedefs - The typedefs, as given to `entityTypeAccessors`.
+ * @return {Object} - Copies of the typedefs, with the inferred entries.
+ */
+function inferRelations(typedefs) {
+  let result = {};
+  Object.keys(typedefs).forEach(name => {
+    const typedef = typedefs[name];
+    result[name] = Object.assign({}, typedef, {
+      foreignKeys: Object.assign({}, typedef.foreignKeys),
+      inverseForeignKeys: Object.assign({}, typedef.inverseForeignKeys)
+    });
+  });
+  Object.keys(typedefs).forEach(name => {
+    const {foreignKeys = {}, inverseForeignKeys = {}} = typedefs[name];
+    Object.keys(foreignKeys).forEach(relName => {
+      const {types, key, inverse} = foreignKeySpec(relName, foreignKeys[relName]);
+      types.forEach(type => {
+        const parent = result[type];
+        if (!parent || findInverse(parent, type, name, relName)) {
+          return;
+        }
+        const inverseName = inverse || name;
+        if (!parent.inverseForeignKeys.hasOwnProperty(inverseName)) {
+          parent.inverseForeignKeys[inverseName] = inverseName === name && relName === type ?
+            key :
+            {type: name, foreignKey: relName, key};
+        }
+      });
+    });
+    Object.keys(inverseForeignKeys).forEach(relName => {
+      const {type, foreignKey, key} = inverseForeignKeySpec(relName, inverseForeignKeys[relName], name);
+      const child = result[type];
+      if (!child || !key || child.foreignKeys.hasOwnProperty(foreignKey)) {
+        return;
+      }
+      child.foreignKeys[foreignKey] = foreignKey === name ? key : {type: name, key};
+    });
+  });
+  return result;
+}
+
+/**
+ * Check a set of typedefs as a whole, and fill in what can be worked out from
+ * other types, before `entityTypeAccessors` builds the `EntityType`s.
+ *
+ * Every relation must point at a defined type, and every foreign key must be
+ * matched by exactly one inverse foreign key on the related type, with the
+ * same keypath, and the other way round. The join type of a `through`
+ * relationship must have exactly one foreign key to each side. With the `infer`
+ * option, missing halves of a relation are filled in instead of reported. The
+ * keypaths of named inverse foreign keys are filled in from the related type's
+ * foreign key.
+ * @param  {Object} typedefs - The typedefs, as given to `entityTypeAccessors`.
+ * @param  {Boolean} [options.infer] - Whether to infer missing `inverseForeignKeys`
+ * from `foreignKeys`, and the reverse.
+ * @return {Object} - The checked typedefs; the given objects are not modified.
+ * @throws {Error} - If the typedefs don't describe a consistent graph.
+ */
+export function compileTypedefs(typedefs, {infer = false} = {}) {
+  Object.keys(typedefs).forEach(name => {
+    const {key, foreignKeys, inverseForeignKeys} = typedefs[name];
+    if (!Array.isArray(key) || !key.length) {
+      throw new Error(`${name} needs a primary key keypath`);
+    }
+    if (!infer && (!foreignKeys || !inverseForeignKeys)) {
+      throw new Error(`${name} needs both foreignKeys and inverseForeignKeys`);
+    }
+  });
+  const compiled = infer ? inferRelations(typedefs) : typedefs;
+  let result = {};
+  Object.keys(compiled).forEach(name => {
+    const typedef = compiled[name];
+    const {foreignKeys = {}, inverseForeignKeys = {}, manyToMany = {}, onDelete = {}} = typedef;
+    let relationTypes = {};
+    const relate = (relName, type, section) => {
+      if (!compiled[type]) {
+        throw new Error(`${name}.${section}.${relName} refers to unknown type ${type}`);
+      }
+      if (relationTypes.hasOwnProperty(relName) && relationTypes[relName] !== type) {
+        throw new Error(`${name} uses ${relName} for relations to both ${relationTypes[relName]} and ${type}`);
+      }
+      relationTypes[relName] = type;
+    };
+
+    Object.keys(foreignKeys).forEach(relName => {
+      const {type, types, key, typeKey} = foreignKeySpec(relName, foreignKeys[relName]);
+      if (typeKey) {
+        if (!Array.isArray(typeKey) || !types.length) {
+          throw new Error(`${name}.foreignKeys.${relName} needs a list of types and a typeKey keypath`);
+        }
+        types.forEach(polyType => {
+          if (!compiled[polyType]) {
+            throw new Error(`${name}.foreignKeys.${relName} refers to unknown type ${polyType}`);
+          }
+        });
+      } else {
+        relate(relName, type, 'foreignKeys');
+      }
+      if (!Array.isArray(key)) {
+        throw new Error(`${name}.foreignKeys.${relName} needs a keypath`);
+      }
+      types.forEach(parentType => {
+        if (!findInverse(compiled[parentType], parentType, name, relName)) {
+          throw new Error(`${name}.foreignKeys.${relName} has no matching inverseForeignKeys entry on ${parentType}`);
+        }
+      });
+    });
+
+    let inverses = {};
+    let compiledInverses = {};
+    Object.keys(inverseForeignKeys).forEach(relName => {
+      const spec = inverseForeignKeySpec(relName, inverseForeignKeys[relName], name);
+      relate(relName, spec.type, 'inverseForeignKeys');
+      const childKeys = compiled[spec.type].foreignKeys || {};
+      if (!childKeys.hasOwnProperty(spec.foreignKey) ||
+          foreignKeySpec(spec.foreignKey, childKeys[spec.foreignKey]).types.indexOf(name) < 0) {
+        throw new Error(
+          `${name}.inverseForeignKeys.${relName} has no matching foreignKeys entry ${spec.foreignKey} on ${spec.type}`
+        );
+      }
+      const childKey = foreignKeySpec(spec.foreignKey, childKeys[spec.foreignKey]).key;
+      if (spec.key && showPath(spec.key) !== showPath(childKey)) {
+        throw new Error(
+          `${name}.inverseForeignKeys.${relName} is ${showPath(spec.key)}, ` +
+          `but ${spec.type}.foreignKeys.${spec.foreignKey} is ${showPath(childKey)}`
+        );
+      }
+      const pair = `${spec.type}.${spec.foreignKey}`;
+      if (inverses[pair]) {
+        throw new Error(`${name}.inverseForeignKeys.${relName} and ${inverses[pair]} both match ${pair}`);
+      }
+      inverses[pair] = relName;
+      compiledInverses[relName] = Array.isArray(inverseForeignKeys[relName]) ?
+        inverseForeignKeys[relName] :
+        Object.assign({}, inverseForeignKeys[relName], {key: childKey});
+    });
+
+    Object.keys(manyToMany).forEach(relName => {
+      if (!compiled[relName]) {
+        throw new Error(`${name}.manyToMany.${relName} refers to unknown type ${relName}`);
+      }
+      const {through} = manyToMany[relName];
+      if (!through) {
+        return;
+      }
+      if (!compiled[through]) {
+        throw new Error(`${name}.manyToMany.${relName} goes through unknown type ${through}`);
+      }
+      const joinKeys = compiled[through].foreignKeys || {};
+      [name, relName].forEach(side => {
+        const count = Object.keys(joinKeys).filter(joinRel => foreignKeySpec(joinRel, joinKeys[joinRel]).type === side).length;
+        if (count !== 1) {
+          throw new Error(`${name}.manyToMany.${relName} goes through ${through}, which needs exactly one foreign key to ${side}, not ${count}`);
+        }
+      });
+    });
+    Object.keys(onDelete).forEach(relName => {
+      if (!inverseForeignKeys.hasOwnProperty(relName)) {
+        throw new Error(`${name}.onDelete.${relName} is not an inverseForeignKeys relation`);
+      }
+    });
+
+    result[name] = Object.assign({}, typedef, {foreignKeys, inverseForeignKeys: compiledInverses});
+  });
+  return result;
+}
@@ -0,0 +1,117 @@
+import { is, List, Map } from 'immutable';
+
+/**
+ * Predicates for the `type` option of a field schema. Arrays and objects are
+ * raised to `Immutable.List`s and `Immutable.Map`s when stored, so those are
+ * what the `list` and `map` types check for.
+ * @type {Object<String, Function>}
+ */
+export const FIELD_TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && !isNaN(value),
+  integer: value => typeof value === 'number' && value % 1 === 0,
+  boolean: value => typeof value === 'boolean',
+  list: value => List.isList(value),
+  map: value => Map.isMap(value)
+};
+
+/**
+ * Get the size of a value for the purpose of `min` / `max` checks: numbers are
+ * compared directly, strings by length and collections by size.
+ * @param  {*} value - The field value.
+ * @return {Number|undefined} - The comparable magnitude, if the value has one.
+ */
+function magnitude(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return value.length;
+  }
+  if (value && typeof value.size === 'number') {
+    return value.size;
+  }
+  return undefined;
+}
+
+/**
+ * Build a single error entry.
+ * @param  {String} rule - The name of the rule that failed.
+ * @param  {String} message - A human readable description.
+ * @return {Immutable.Map} - The error entry.
+ */
+function fieldError(rule, message) {
+  return Map({rule, message});
+}
+
+/**
+ * Check a single value against a field schema.
+ * @param  {String} fieldName - The name of the field being checked.
+ * @param  {Object} schema - The field schema; see `validateRecord`.
+ * @param  {*} value - The field value.
+ * @param  {Immutable.Map} record - The whole record, passed to custom validators.
+ * @return {Immutable.List} - The errors for this field; empty if it is valid.
+ */
+export function validateField(fieldName, schema, value, record) {
+  let errors = List();
+  if (value === undefined) {
+    return schema.required ?
+      errors.push(fieldError('required', `${fieldName} is required`)) :
+      errors;
+  }
+  if (value === null) {
+    return schema.nullable === false ?
+      errors.push(fieldError('nullable', `${fieldName} may not be null`)) :
+      errors;
+  }
+  if (schema.type) {
+    const check = FIELD_TYPES[schema.type];
+    if (!check) {
+      throw new Error(`Unknown field type ${schema.type} for ${fieldName}`);
+    }
+    if (!check(value)) {
+      return errors.push(fieldError('type', `${fieldName} must be of type ${schema.type}`));
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => is(option, value))) {
+    errors = errors.push(fieldError('enum', `${fieldName} must be one of ${schema.enum.join(', ')}`));
+  }
+  const size = magnitude(value);
+  if (schema.min !== undefined && size !== undefined && size < schema.min) {
+    errors = errors.push(fieldError('min', `${fieldName} must be at least ${schema.min}`));
+  }
+  if (schema.max !== undefined && size !== undefined && size > schema.max) {
+    errors = errors.push(fieldError('max', `${fieldName} must be at most ${schema.max}`));
+  }
+  if (schema.validate) {
+    const message = schema.validate(value, record);
+    if (message) {
+      errors = errors.push(fieldError('validate', message));
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check a record against the `fields` section of a typedef.
+ *
+ * Each field schema may declare:
+ * - type: One of the keys of `FIELD_TYPES`.
+ * - required: The field must be present on the record.
+ * - nullable: Set to `false` to disallow `null`. Fields are nullable by default.
+ * - enum: An array of allowed values.
+ * - min / max: Bounds on a number, or on the length of a string or collection.
+ * - validate: A function of `(value, record)` returning an error message, or
+ *   a falsy value if the field is valid.
+ *
+ * @param  {Object<String, Object>} fields - Field names mapped to field schemas.
+ * @param  {Immutable.Map} record - The record to check.
+ * @return {Immutable.Map} - Field names mapped to lists of errors, containing
+ * only the fields that failed. An empty map means the record is valid.
+ */
+export function validateRecord(fields, record) {
+  return Object.keys(fields).reduce((errors, fieldName) => {
+    const fieldErrors = validateField(fieldName, fields[fieldName], record.get(fieldName), record);
+    return fieldErrors.size ? errors.set(fieldName, fieldErrors) : errors;
+  }, Map());
+}